@@ -7,12 +7,16 @@
  * Event Sistemi:
  * - 'opened': Edit mode açıldığında emit edilir
  * - 'clicked': Edit butonuna tıklandığında emit edilir
- * - 'save': Save işlemi başlamadan önce emit edilir
- * - 'saved': Save işlemi başarıyla tamamlandığında emit edilir
+ * - 'save': Save işlemi başlamadan önce emit edilir (iptal edilebilir, Promise dönülebilir)
+ * - 'saved': Save işlemi başarıyla tamamlandığında emit edilir (undo/redo sonrası `history` ile)
  * - 'cancel': Cancel işlemi yapıldığında emit edilir
  * - 'rejected': Cancel işlemi yapıldığında emit edilir (alias)
  * - 'error': Hata oluştuğunda emit edilir
  * - 'closed': Edit mode kapandığında emit edilir (save veya cancel sonrası)
+ * - 'queued': Offline mode'da değişiklik kuyruğa alındığında emit edilir
+ * - 'replayed': Kuyruktaki değişiklik sunucuya başarıyla gönderildiğinde emit edilir
+ * - 'conflict': Kuyruktaki değişiklik sunucu tarafından reddedildiğinde emit edilir
+ * - 'invalid': Client-side validation başarısız olduğunda emit edilir (request gönderilmez)
  * 
  * Kullanım:
  * ```javascript
@@ -24,15 +28,18 @@
  *   // Edit mode açıldı
  *   const { field, fieldData, input } = data
  *   // Choices.js gibi plugin'leri burada yönetebilirsiniz
+ *   // (multiple select'ler için built-in combobox vardır, data-choices varsa combobox oluşturulmaz)
  *   if (input && input.hasAttribute('data-choices')) {
  *     // Choices.js instance'ını bul ve yönet
  *   }
  * })
  * 
- * inlineEditManager.on('save', (data) => {
+ * inlineEditManager.on('save', async (data) => {
  *   // Save başlamadan önce
  *   const { field, value, input } = data
  *   // Plugin'leri burada kontrol edebilirsiniz
+ *   // `data.preventDefault = true` veya `return false` save'i iptal eder
+ *   // `data.value` değiştirilerek gönderilecek değer değiştirilebilir
  * })
  * 
  * inlineEditManager.on('cancel', (data) => {
@@ -63,14 +70,921 @@
  *   </div>
  * </div>
  */
+
+/**
+ * Varsayılan transport ayarları
+ * - method: HTTP metodu ('PATCH', 'PUT', 'POST')
+ * - methodOverride: POST ile gönderirken `_method` / `X-HTTP-Method-Override` ile iletilecek metod (örn. 'PATCH')
+ * - format: Body formatı: 'form' (x-www-form-urlencoded), 'json', 'json-patch' (RFC 6902), 'merge-patch' (RFC 7396)
+ * - stripFormName: JSON formatlarında field path'in ilk parçasını (form adı) atlar ("personel.name" -> {"name": ...})
+ * - headers: Her request'e eklenecek ek header'lar
+ * - credentials: fetch credentials ayarı
+ * - booleans: Form formatında boolean değerler: 'numeric' (1/0) veya 'omit' (false'ta field gönderilmez, Symfony checkbox gibi)
+ * - send: Custom sender - (request, context) => Promise<Response>
+ *   Network hatalarında name'i 'NetworkError' olan bir error ile reject olmalıdır (retry ve offline kuyruk için)
+ */
+const DEFAULT_TRANSPORT = {
+    method: 'PATCH',
+    methodOverride: null,
+    format: 'form',
+    stripFormName: false,
+    headers: {},
+    credentials: 'same-origin',
+    booleans: 'numeric',
+    send: null
+}
+
+/**
+ * Varsayılan retry ayarları
+ * - retries: İlk denemeden sonra yapılacak maksimum tekrar sayısı (0 = retry yok)
+ * - delay: İlk retry öncesi bekleme süresi (ms), her denemede iki katına çıkar
+ * - maxDelay: Maksimum bekleme süresi (ms), Retry-After header'ı için de geçerlidir
+ * - statuses: Retry edilecek HTTP status kodları (429 sadece Retry-After header'ı varsa retry edilir)
+ * - timeouts: Timeout olan request'ler de tekrar gönderilsin mi? Save request'leri (PATCH/POST) idempotent
+ *   değildir; timeout'ta sunucu ilk request'i uygulamış olabileceği için varsayılan olarak kapalıdır
+ */
+const DEFAULT_RETRY = {
+    retries: 2,
+    delay: 500,
+    maxDelay: 10000,
+    statuses: [429, 502, 503, 504],
+    timeouts: false
+}
+
+/**
+ * Varsayılan offline mode ayarları
+ * - storageKey: Kuyruğun saklanacağı storage key'i
+ * - storage: getItem/setItem destekleyen storage (default: localStorage)
+ */
+const DEFAULT_OFFLINE = {
+    storageKey: 'inline_edit_offline_queue',
+    storage: null
+}
+
+/**
+ * Varsayılan versiyon (optimistic concurrency) ayarları
+ * Field'ın data-inline-edit-version değeri varsa request ile gönderilir.
+ * - send: 'header' (If-Match gibi) veya 'body' (field path'in kardeş key'i olarak)
+ * - header: send = 'header' iken kullanılacak header adı
+ * - field: send = 'body' iken kullanılacak key ("personel.name" -> "personel.version")
+ */
+const DEFAULT_VERSIONING = {
+    send: 'header',
+    header: 'If-Match',
+    field: 'version'
+}
+
+/**
+ * Varsayılan undo/redo geçmişi ayarları
+ * - limit: Undo stack'inde tutulacak maksimum kayıt sayısı
+ * - keyboard: Ctrl+Z / Ctrl+Shift+Z kısayolları (input focus'ta değilken), default kapalı - sayfanın kendi
+ *   kısayollarını ezmemesi için açıkça açılmalıdır; açıkken de geri alınacak kayıt yoksa tuş olduğu gibi bırakılır
+ * - notificationAction: Success bildirimine "Geri al" aksiyonu ekle (bkz. notifier)
+ */
+const DEFAULT_HISTORY = {
+    limit: 50,
+    keyboard: false,
+    notificationAction: true
+}
+
+/**
+ * Varsayılan bildirim ayarları (durum -> true / false veya fonksiyon)
+ * - saved: Save başarılı (success, history.notificationAction açıksa "Geri al" aksiyonu ile)
+ * - error: Save hatası (error, network / timeout hatalarında "Tekrar dene" aksiyonu ile)
+ * - history: Undo / redo sonucu (success veya error, hatada "Tekrar dene" aksiyonu ile)
+ * - conflict: Offline kuyruktaki değişiklik sunucu tarafından reddedildi (error)
+ * Fonksiyon {event, type, message, action} objesini alır; değiştirilmiş objeyi veya
+ * bildirimi engellemek için false döner.
+ */
+const DEFAULT_NOTIFICATIONS = {
+    saved: true,
+    error: true,
+    history: true,
+    conflict: true
+}
+
+/**
+ * Display formatları için varsayılan Intl seçenekleri (format adı -> Intl options)
+ * Field'ın data-inline-edit-format attribute'u yoksa format html type'tan belirlenir (bkz. HTML_TYPE_FORMATS).
+ * data-inline-edit-format-options (JSON) veya manager'ın `formats` option'ı ile format bazında ezilebilir.
+ * - date, datetime, time, month: Intl.DateTimeFormat
+ * - number, currency, percent: Intl.NumberFormat (percent'te değer oran olarak verilir: 0.15 -> %15)
+ *   number'da binlik ayırıcı varsayılan olarak kapalıdır (yıl, posta kodu gibi değerler 2.026 olmasın),
+ *   `useGrouping: true` ile açılır. currency'de para birimi varsayılan olarak yoktur: `currency` verilmezse
+ *   tutar sembolsüz, 2 ondalıklı sayı olarak gösterilir (bkz. getFormatOptions)
+ * - tel: Intl karşılığı yok; `pattern` verilirse rakamlar '#' yerlerine yazılır (örn. '(###) ### ## ##')
+ */
+const DEFAULT_FORMATS = {
+    date: { year: 'numeric', month: '2-digit', day: '2-digit' },
+    datetime: { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' },
+    time: { hour: '2-digit', minute: '2-digit' },
+    month: { year: 'numeric', month: 'long' },
+    number: { useGrouping: false },
+    currency: { style: 'currency' },
+    percent: { style: 'percent', maximumFractionDigits: 2 },
+    tel: { pattern: null }
+}
+
+/**
+ * Html type -> varsayılan display formatı
+ * data-inline-edit-format'ta html type adı da kullanılabilir (örn. 'datetime-local' -> 'datetime')
+ */
+const HTML_TYPE_FORMATS = {
+    'date': 'date',
+    'datetime-local': 'datetime',
+    'time': 'time',
+    'month': 'month',
+    'number': 'number',
+    'tel': 'tel'
+}
+
+/**
+ * Varsayılan remote options ayarları (data-inline-edit-options-url olan select'ler için)
+ * - queryParam: Arama metninin gönderileceği query parametresi
+ * - pageParam: Sayfa numarasının gönderileceği query parametresi (1'den başlar)
+ * - debounce: Yazma bittikten sonra arama request'i öncesi bekleme süresi (ms)
+ * - scrollThreshold: Listbox'ın sonuna bu kadar px kala sonraki sayfa yüklenir
+ * - mapResponse: Custom response parser - (data, {field, formElement}) => {items: [{value, label}], hasMore}
+ */
+const DEFAULT_REMOTE_OPTIONS = {
+    queryParam: 'q',
+    pageParam: 'page',
+    debounce: 300,
+    scrollThreshold: 40,
+    mapResponse: null
+}
+
+/**
+ * Varsayılan klavye navigasyonu (spreadsheet mode) ayarları
+ * - tab: Edit mode'da Tab / Shift+Tab kaydedip sonraki / önceki field'ı edit mode'da açar
+ * - arrows: Edit butonu focus'tayken ok tuşları field'lar arasında gezinir (tablo içinde Yukarı/Aşağı aynı kolonda kalır)
+ * - wrap: Son field'dan sonra ilk field'a (ve tersi) geç
+ * Navigasyon `[data-inline-edit-navigation]` container'ı içindeki field'larla sınırlıdır (yoksa tüm sayfa).
+ */
+const DEFAULT_NAVIGATION = {
+    tab: true,
+    arrows: true,
+    wrap: false
+}
+
+/**
+ * Built-in mesaj katalogları (dil -> mesaj key'i -> mesaj)
+ * Mesajlardaki {name} placeholder'ları t() ile doldurulur. `messages` option'ı ile
+ * yeni dil eklenebilir veya mevcut mesajlar ezilebilir, örn. {de: {'save.success': 'Gespeichert.'}}.
+ */
+const MESSAGES = {
+    tr: {
+        'save.saving': 'Kaydediliyor…',
+        'save.success': 'Field başarıyla güncellendi.',
+        'save.error': 'Kaydetme sırasında bir hata oluştu. Lütfen tekrar deneyin.',
+        'save.timeout': 'Sunucu zamanında yanıt vermedi. Lütfen tekrar deneyin.',
+        'save.retry': 'Tekrar dene',
+        'save.reopen': 'Düzenle',
+        'error.generic': 'Bir hata oluştu. Lütfen tekrar deneyin.',
+        'history.undo': 'Geri al',
+        'history.undone': 'Değişiklik geri alındı.',
+        'history.redone': 'Değişiklik tekrar uygulandı.',
+        'history.error': 'Değişiklik geri alınamadı. Lütfen tekrar deneyin.',
+        'history.unavailable': 'Alan artık sayfada olmadığı için değişiklik uygulanamadı.',
+        'validation.valueMissing': 'Bu alan zorunludur.',
+        'validation.typeMismatch': 'Geçerli bir değer giriniz.',
+        'validation.typeMismatch.email': 'Geçerli bir e-posta adresi giriniz.',
+        'validation.typeMismatch.url': 'Geçerli bir URL giriniz.',
+        'validation.patternMismatch': 'Değer istenen formatta değil.',
+        'validation.tooLong': 'En fazla {maxLength} karakter girilebilir.',
+        'validation.tooShort': 'En az {minLength} karakter girilmelidir.',
+        'validation.rangeUnderflow': 'Değer en az {min} olmalıdır.',
+        'validation.rangeOverflow': 'Değer en fazla {max} olmalıdır.',
+        'validation.stepMismatch': 'Geçerli bir değer giriniz.',
+        'validation.badInput': 'Geçerli bir değer giriniz.',
+        'validation.failed': 'Değer doğrulanamadı.',
+        'validation.invalid': 'Geçersiz değer.',
+        'conflict.message': 'Bu kayıt siz düzenlerken başka biri tarafından değiştirildi.',
+        'conflict.yours': 'Sizin değeriniz',
+        'conflict.theirs': 'Sunucudaki değer',
+        'conflict.keepMine': 'Benimkini koru',
+        'conflict.takeTheirs': 'Sunucudakini al',
+        'dialog.title': 'Düzenle',
+        'dialog.close': 'Kapat',
+        'checkbox.true': 'Evet',
+        'checkbox.false': 'Hayır',
+        'combobox.placeholder': 'Seçiniz',
+        'combobox.selected': 'Seçili öğeler',
+        'combobox.remove': '{label} kaldır',
+        'combobox.empty': 'Sonuç bulunamadı'
+    },
+    en: {
+        'save.saving': 'Saving…',
+        'save.success': 'Field updated successfully.',
+        'save.error': 'An error occurred while saving. Please try again.',
+        'save.timeout': 'The server did not respond in time. Please try again.',
+        'save.retry': 'Retry',
+        'save.reopen': 'Edit',
+        'error.generic': 'Something went wrong. Please try again.',
+        'history.undo': 'Undo',
+        'history.undone': 'Change undone.',
+        'history.redone': 'Change redone.',
+        'history.error': 'The change could not be undone. Please try again.',
+        'history.unavailable': 'The change could not be applied because the field is no longer on the page.',
+        'validation.valueMissing': 'This field is required.',
+        'validation.typeMismatch': 'Please enter a valid value.',
+        'validation.typeMismatch.email': 'Please enter a valid email address.',
+        'validation.typeMismatch.url': 'Please enter a valid URL.',
+        'validation.patternMismatch': 'The value does not match the required format.',
+        'validation.tooLong': 'Please enter at most {maxLength} characters.',
+        'validation.tooShort': 'Please enter at least {minLength} characters.',
+        'validation.rangeUnderflow': 'The value must be at least {min}.',
+        'validation.rangeOverflow': 'The value must be at most {max}.',
+        'validation.stepMismatch': 'Please enter a valid value.',
+        'validation.badInput': 'Please enter a valid value.',
+        'validation.failed': 'The value could not be validated.',
+        'validation.invalid': 'Invalid value.',
+        'conflict.message': 'This record was changed by someone else while you were editing.',
+        'conflict.yours': 'Your value',
+        'conflict.theirs': 'Server value',
+        'conflict.keepMine': 'Keep mine',
+        'conflict.takeTheirs': 'Use server value',
+        'dialog.title': 'Edit',
+        'dialog.close': 'Close',
+        'checkbox.true': 'Yes',
+        'checkbox.false': 'No',
+        'combobox.placeholder': 'Select',
+        'combobox.selected': 'Selected items',
+        'combobox.remove': 'Remove {label}',
+        'combobox.empty': 'No results found'
+    }
+}
+
+/**
+ * HTML5 constraint ihlalleri için mesaj key'leri (ValidityState key'i -> MESSAGES key'i)
+ * Fonksiyon olanlar input elementini alır (type'a göre farklı mesaj seçmek için).
+ * Input'ta `data-inline-edit-message-<kural>` attribute'u varsa o kullanılır (örn. data-inline-edit-message-required),
+ * patternMismatch için input'un title'ı varsa mesaj olarak o gösterilir.
+ */
+const VALIDATION_MESSAGES = {
+    valueMissing: 'validation.valueMissing',
+    typeMismatch: input => ['email', 'url'].includes(input.type)
+        ? `validation.typeMismatch.${input.type}`
+        : 'validation.typeMismatch',
+    patternMismatch: 'validation.patternMismatch',
+    tooLong: 'validation.tooLong',
+    tooShort: 'validation.tooShort',
+    rangeUnderflow: 'validation.rangeUnderflow',
+    rangeOverflow: 'validation.rangeOverflow',
+    stepMismatch: 'validation.stepMismatch',
+    badInput: 'validation.badInput'
+}
+
+/**
+ * Popover adapter interface'i (popup edit mode için)
+ * Her adapter şu metodları sağlar:
+ * - create(trigger, {content, title, closeLabel, editMode, onShown, onHidden, onDismiss}): Popover oluşturur, handle döner (henüz gösterilmez)
+ *   title ve closeLabel (kapat butonunun aria-label'ı) manager'ın diline göre çevrilmiş gelir,
+ *   onShown(bodyElement) popover gösterildiğinde, onHidden(bodyElement) popover gizlendiğinde,
+ *   onDismiss() kullanıcı popover'ı kapatmak istediğinde (Esc, backdrop) çağrılır
+ * - show(handle): Popover'ı gösterir
+ * - dispose(handle): Popover'ı kapatır ve DOM'dan kaldırır
+ * - getElement(handle): Popover'ın root elementi (gösterilmiyorsa null)
+ */
+
+/**
+ * Bootstrap 5 Popover adapter'ı (global `bootstrap` gerektirir)
+ * Handle Bootstrap Popover instance'ının kendisidir.
+ */
+const BOOTSTRAP_POPOVER_ADAPTER = {
+    listeners: new WeakMap(), // Popover instance -> trigger event listener'ları
+
+    create(trigger, { content, title, onShown, onHidden }) {
+        const instance = new window.bootstrap.Popover(trigger, {
+            trigger: 'manual',
+            placement: 'auto',
+            container: 'body',
+            html: true,
+            sanitize: false,
+            content: content,
+            title: title
+        })
+
+        const getBody = () => this.getElement(instance)?.querySelector('.popover-body') || null
+        const handleShown = () => onShown?.(getBody())
+        const handleHidden = () => onHidden?.(getBody())
+        trigger.addEventListener('shown.bs.popover', handleShown)
+        trigger.addEventListener('hidden.bs.popover', handleHidden)
+        this.listeners.set(instance, { trigger, handleShown, handleHidden })
+
+        return instance
+    },
+
+    show(instance) {
+        instance.show()
+    },
+
+    dispose(instance) {
+        const listeners = this.listeners.get(instance)
+        if (listeners) {
+            listeners.trigger.removeEventListener('shown.bs.popover', listeners.handleShown)
+            listeners.trigger.removeEventListener('hidden.bs.popover', listeners.handleHidden)
+            this.listeners.delete(instance)
+        }
+
+        // Sadece hala geçerli instance'ı dispose et
+        if (listeners && window.bootstrap.Popover.getInstance(listeners.trigger) !== instance) {
+            return
+        }
+        instance.dispose()
+    },
+
+    getElement(instance) {
+        return instance.tip || null
+    }
+}
+
+/**
+ * Built-in hafif popover adapter'ı (bağımlılık yok)
+ * Body'ye eklenen, trigger'a göre konumlanan bir overlay oluşturur. Bootstrap CSS yüklüyse
+ * `.popover` class'ları sayesinde Bootstrap popover'ı gibi görünür, değilse inline_edit.css stillerini kullanır.
+ */
+const OVERLAY_POPOVER_ADAPTER = {
+    create(trigger, options) {
+        return { trigger, options, element: null, body: null, reposition: null }
+    },
+
+    show(handle) {
+        if (handle.element) {
+            return
+        }
+
+        const element = document.createElement('div')
+        element.className = 'popover inline-edit-popover'
+        element.setAttribute('role', 'dialog')
+
+        if (handle.options.title) {
+            const header = document.createElement('div')
+            header.className = 'popover-header'
+            header.textContent = handle.options.title
+            element.appendChild(header)
+        }
+
+        const body = document.createElement('div')
+        body.className = 'popover-body'
+        body.innerHTML = handle.options.content
+        element.appendChild(body)
+
+        document.body.appendChild(element)
+        handle.element = element
+        handle.body = body
+
+        // Scroll ve resize'da trigger'a göre yeniden konumlandır
+        handle.reposition = () => this.position(handle)
+        handle.reposition()
+        window.addEventListener('resize', handle.reposition)
+        window.addEventListener('scroll', handle.reposition, true)
+
+        // Bootstrap'teki gibi shown callback'i asenkron çağrılır
+        setTimeout(() => {
+            if (handle.element === element) {
+                handle.options.onShown?.(body)
+            }
+        }, 0)
+    },
+
+    dispose(handle) {
+        if (!handle.element) {
+            return
+        }
+
+        window.removeEventListener('resize', handle.reposition)
+        window.removeEventListener('scroll', handle.reposition, true)
+
+        // Kaldırmadan önce hidden callback'i (Bootstrap'teki hidden.bs.popover karşılığı)
+        handle.options.onHidden?.(handle.body)
+        handle.element.remove()
+        handle.element = null
+        handle.body = null
+        handle.reposition = null
+    },
+
+    getElement(handle) {
+        return handle.element
+    },
+
+    /**
+     * Overlay'i trigger'ın altına (sığmazsa üstüne) konumlandırır, yatayda viewport içinde tutar
+     */
+    position(handle) {
+        const { trigger, element } = handle
+        if (!element) {
+            return
+        }
+
+        const margin = 8
+        const triggerRect = trigger.getBoundingClientRect()
+        const overlayRect = element.getBoundingClientRect()
+        const viewportWidth = document.documentElement.clientWidth || window.innerWidth
+        const viewportHeight = document.documentElement.clientHeight || window.innerHeight
+
+        const fitsBelow = triggerRect.bottom + margin + overlayRect.height <= viewportHeight
+        const fitsAbove = triggerRect.top - margin - overlayRect.height >= 0
+        const top = !fitsBelow && fitsAbove
+            ? triggerRect.top - margin - overlayRect.height
+            : triggerRect.bottom + margin
+
+        const maxLeft = Math.max(margin, viewportWidth - overlayRect.width - margin)
+        const left = Math.min(Math.max(margin, triggerRect.left), maxLeft)
+
+        element.style.top = `${top + window.scrollY}px`
+        element.style.left = `${left + window.scrollX}px`
+        element.dataset.placement = !fitsBelow && fitsAbove ? 'top' : 'bottom'
+    }
+}
+
+/**
+ * Native <dialog> adapter'ı (modal ve offcanvas edit mode'ları için)
+ * showModal() ile sayfanın geri kalanı inert olur; Tab/Shift+Tab dialog içinde döner (focus trap).
+ * Esc, backdrop tıklaması ve kapat butonu onDismiss'i çağırır, dialog manager tarafından dispose edilir.
+ */
+const DIALOG_POPOVER_ADAPTER = {
+    create(trigger, options) {
+        return { trigger, options, element: null, body: null }
+    },
+
+    show(handle) {
+        if (handle.element) {
+            return
+        }
+
+        const { title, closeLabel, content, editMode, onShown, onDismiss } = handle.options
+        const titleId = `inline-edit-dialog-title-${++elementIdCounter}`
+
+        const element = document.createElement('dialog')
+        element.className = `inline-edit-dialog inline-edit-dialog--${editMode === 'offcanvas' ? 'offcanvas' : 'modal'}`
+        element.setAttribute('aria-labelledby', titleId)
+        element.innerHTML = `
+            <div class="inline-edit-dialog-header">
+                <h5 class="inline-edit-dialog-title"></h5>
+                <button type="button" class="btn-close" data-inline-edit-dialog-close></button>
+            </div>
+            <div class="inline-edit-dialog-body"></div>
+        `
+        const titleElement = element.querySelector('.inline-edit-dialog-title')
+        titleElement.id = titleId
+        titleElement.textContent = title || ''
+        element.querySelector('[data-inline-edit-dialog-close]').setAttribute('aria-label', closeLabel || '')
+
+        const body = element.querySelector('.inline-edit-dialog-body')
+        body.innerHTML = content
+
+        // Esc: native kapanmayı engelle, cancel akışını çalıştır
+        element.addEventListener('cancel', (e) => {
+            e.preventDefault()
+            onDismiss?.()
+        })
+
+        // Backdrop (dialog'un kendisine) veya kapat butonuna tıklama
+        element.addEventListener('click', (e) => {
+            if (e.target === element || e.target.closest('[data-inline-edit-dialog-close]')) {
+                e.stopPropagation()
+                onDismiss?.()
+            }
+        })
+
+        // Focus trap: Tab dialog içindeki focus edilebilir elementler arasında döner
+        element.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') {
+                return
+            }
+
+            const focusable = Array.from(element.querySelectorAll(
+                'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+            )).filter(el => !el.disabled && !el.closest('[hidden]'))
+            if (focusable.length === 0) {
+                e.preventDefault()
+                return
+            }
+
+            const first = focusable[0]
+            const last = focusable[focusable.length - 1]
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault()
+                last.focus()
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault()
+                first.focus()
+            }
+        })
+
+        document.body.appendChild(element)
+        if (typeof element.showModal === 'function') {
+            element.showModal()
+        } else {
+            element.setAttribute('open', '')
+        }
+
+        handle.element = element
+        handle.body = body
+
+        setTimeout(() => {
+            if (handle.element === element) {
+                onShown?.(body)
+            }
+        }, 0)
+    },
+
+    dispose(handle) {
+        if (!handle.element) {
+            return
+        }
+
+        const element = handle.element
+        handle.options.onHidden?.(handle.body)
+        handle.element = null
+        handle.body = null
+
+        if (element.open && typeof element.close === 'function') {
+            element.close()
+        }
+        element.remove()
+
+        // Focus'u dialog'u açan trigger'a geri ver
+        if (handle.trigger.isConnected) {
+            handle.trigger.focus()
+        }
+    },
+
+    getElement(handle) {
+        return handle.element
+    }
+}
+
+/**
+ * Notifier adapter interface'i (save, hata ve undo/redo bildirimleri için)
+ * Her adapter şu metodları sağlar (olmayan metodlar için bildirim gösterilmez):
+ * - success(message, options), error(message, options), info(message, options)
+ *   options.action verilirse {label, handler}: bildirimde aksiyon butonu gösterilir (undo, retry)
+ *   options.event: Bildirimi tetikleyen durum (bkz. DEFAULT_NOTIFICATIONS)
+ * Mesajlar ayrıca aria-live region ile okunduğundan adapter'ın ekran okuyucuya bildirmesi gerekmez.
+ */
+
+/**
+ * Varsayılan notifier: bildirim göstermez
+ */
+const NOOP_NOTIFIER = {
+    success() {},
+    error() {},
+    info() {}
+}
+
+/**
+ * Built-in minimal toast notifier'ı (bağımlılık yok)
+ * Toast'lar body'ye eklenen sabit konumlu container'da gösterilir ve `duration` ms sonra kapanır,
+ * aksiyon butonuna tıklandığında hemen kapanır. Stiller inline_edit.css'tedir.
+ */
+const TOAST_NOTIFIER = {
+    duration: 5000,
+    container: null,
+
+    success(message, options) {
+        this.show('success', message, options)
+    },
+
+    error(message, options) {
+        this.show('error', message, options)
+    },
+
+    info(message, options) {
+        this.show('info', message, options)
+    },
+
+    show(type, message, { action = null } = {}) {
+        if (!this.container?.isConnected) {
+            this.container = document.createElement('div')
+            this.container.className = 'inline-edit-toasts'
+            document.body.appendChild(this.container)
+        }
+
+        const toast = document.createElement('div')
+        toast.className = `inline-edit-toast inline-edit-toast--${type}`
+        const text = document.createElement('span')
+        text.textContent = message
+        toast.appendChild(text)
+
+        let timer = null
+        const close = () => {
+            clearTimeout(timer)
+            toast.remove()
+        }
+
+        if (action) {
+            const button = document.createElement('button')
+            button.type = 'button'
+            button.className = 'inline-edit-toast-action'
+            button.textContent = action.label
+            button.addEventListener('click', () => {
+                close()
+                action.handler()
+            })
+            toast.appendChild(button)
+        }
+
+        this.container.appendChild(toast)
+        timer = setTimeout(close, this.duration)
+    }
+}
+
+/**
+ * Checkbox / switch field type'ı (inline_edit_checkbox)
+ * Değer boolean'dır; read mode'da field'ın data-inline-edit-true-label / false-label değerleri gösterilir
+ * (label'lar server tarafında render edilen güvenilir HTML olabilir, örn. ikon).
+ */
+const CHECKBOX_FIELD_TYPE = {
+    html: true,
+
+    getValue(input) {
+        return input.checked
+    },
+
+    setValue(input, value) {
+        const checked = CHECKBOX_FIELD_TYPE.isChecked(value)
+        input.checked = checked
+        input.toggleAttribute('checked', checked)
+    },
+
+    format(value, { field, manager }) {
+        return CHECKBOX_FIELD_TYPE.isChecked(value)
+            ? field.dataset.inlineEditTrueLabel ?? manager.t('checkbox.true')
+            : field.dataset.inlineEditFalseLabel ?? manager.t('checkbox.false')
+    },
+
+    /**
+     * Data attribute'tan gelen string değerleri de boolean'a çevirir ('1', 'true', 'on')
+     */
+    isChecked(value) {
+        if (typeof value === 'boolean') {
+            return value
+        }
+        return ['1', 'true', 'on', 'yes'].includes(String(value ?? '').trim().toLowerCase())
+    }
+}
+
+/**
+ * Radio / button group field type'ı (inline_edit_radio)
+ * data-inline-edit-input radio'ları saran container'dır (role="radiogroup"); her radio'nun
+ * data-label attribute'u read mode'da gösterilecek label'dır.
+ */
+const RADIO_FIELD_TYPE = {
+    getValue(group) {
+        const checked = group.querySelector('input[type="radio"]:checked')
+        return checked ? checked.value : ''
+    },
+
+    setValue(group, value) {
+        group.querySelectorAll('input[type="radio"]').forEach(radio => {
+            const checked = radio.value === String(value ?? '')
+            radio.checked = checked
+            radio.toggleAttribute('checked', checked)
+        })
+    },
+
+    format(value, { field }) {
+        // Label'ı template'teki radio'dan bul (edit mode kapalıyken de çalışır)
+        const template = field.querySelector('[data-inline-edit-content-template]')
+        const radios = template ? template.content.querySelectorAll('input[type="radio"]') : []
+        const radio = Array.from(radios).find(item => item.value === String(value ?? ''))
+        return radio ? radio.dataset.label || radio.value : value
+    },
+
+    focus(group) {
+        const target = group.querySelector('input[type="radio"]:checked') || group.querySelector('input[type="radio"]')
+        if (target) {
+            target.focus()
+        }
+    }
+}
+
+/**
+ * Field type registry (type adı -> hook'lar)
+ * Built-in checkbox/radio type'ları ve InlineEditManager.registerType ile kaydedilen custom type'lar
+ */
+const FIELD_TYPES = new Map([
+    ['checkbox', CHECKBOX_FIELD_TYPE],
+    ['radio', RADIO_FIELD_TYPE]
+])
+
+/**
+ * Edit alanını field dışında (popover veya dialog içinde) açan modlar
+ */
+const DETACHED_EDIT_MODES = ['popup', 'modal', 'offcanvas']
+
+/**
+ * ValidityState key'lerinin kural adları (invalid event'i ve mesaj attribute'ları için)
+ */
+const VALIDITY_RULES = {
+    valueMissing: 'required',
+    typeMismatch: 'type',
+    patternMismatch: 'pattern',
+    tooLong: 'maxlength',
+    tooShort: 'minlength',
+    rangeUnderflow: 'min',
+    rangeOverflow: 'max',
+    stepMismatch: 'step',
+    badInput: 'type'
+}
+
+/**
+ * Üretilen element id'leri için sayaç (aria-controls, aria-describedby, aria-activedescendant, dialog başlıkları)
+ */
+let elementIdCounter = 0
+
+/**
+ * Varsayılan sanitizer'ın izin verdiği HTML elementleri (badge, link, liste, tablo gibi display içerikleri)
+ * Listede olmayan elementler içerikleriyle birlikte açılır (unwrap), SANITIZER_DROPPED_TAGS'tekiler tamamen silinir.
+ */
+const SANITIZER_ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'dfn', 'div', 'dl', 'dt', 'em',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's',
+    'samp', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr',
+    'u', 'ul', 'var'
+])
+
+/**
+ * İçeriği de gösterilmeyecek elementler (script, stil, gömülü içerik)
+ */
+const SANITIZER_DROPPED_TAGS = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'noscript', 'noembed',
+    'noframes', 'textarea', 'select', 'title'
+])
+
+/**
+ * Varsayılan sanitizer'ın izin verdiği attribute'lar ('*' tüm izinli elementler için)
+ * style, id, data-* ve on* attribute'larına izin verilmez.
+ */
+const SANITIZER_ALLOWED_ATTRIBUTES = {
+    '*': ['class', 'title', 'lang', 'dir', 'aria-label', 'aria-hidden'],
+    'a': ['href', 'target', 'rel'],
+    'img': ['src', 'alt', 'width', 'height'],
+    'time': ['datetime'],
+    'td': ['colspan', 'rowspan'],
+    'th': ['colspan', 'rowspan', 'scope'],
+    'ol': ['start'],
+    'blockquote': ['cite'],
+    'q': ['cite'],
+    'del': ['cite', 'datetime'],
+    'ins': ['cite', 'datetime']
+}
+
+/**
+ * URL içeren attribute'lar; değerleri sadece http(s), mailto veya relative URL olabilir
+ */
+const SANITIZER_URL_ATTRIBUTES = ['href', 'src', 'cite']
+
+/**
+ * Varsayılan HTML sanitizer'ı (save response'undaki displayHtml için)
+ * Allowlist tabanlıdır: sadece SANITIZER_ALLOWED_TAGS'teki HTML elementleri ve SANITIZER_ALLOWED_ATTRIBUTES'taki
+ * attribute'lar kalır, SVG/MathML dahil diğer her şey açılır veya silinir. Daha kapsamlı bir kütüphane
+ * (örn. DOMPurify) `sanitizeHtml` option'ı ile verilebilir.
+ */
+const DEFAULT_HTML_SANITIZER = (html) => {
+    const template = document.createElement('template')
+    template.innerHTML = html
+
+    const isSafeUrl = (value) => {
+        // Tarayıcının URL parse ederken yok saydığı boşluk ve kontrol karakterleri scheme kontrolünü atlatmasın
+        const url = value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase()
+        return /^(https?|mailto):/.test(url) || !/^[a-z][a-z0-9+.-]*:/.test(url)
+    }
+
+    const sanitizeChildren = (parent) => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove()
+                return
+            }
+
+            const tag = node.localName
+            const isHtmlElement = node.namespaceURI === 'http://www.w3.org/1999/xhtml'
+            if (SANITIZER_DROPPED_TAGS.has(tag)) {
+                node.remove()
+                return
+            }
+
+            sanitizeChildren(node)
+            if (!isHtmlElement || !SANITIZER_ALLOWED_TAGS.has(tag)) {
+                node.replaceWith(...node.childNodes)
+                return
+            }
+
+            const allowedAttributes = [...SANITIZER_ALLOWED_ATTRIBUTES['*'], ...(SANITIZER_ALLOWED_ATTRIBUTES[tag] || [])]
+            Array.from(node.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase()
+                const isAllowed = allowedAttributes.includes(name)
+                    && (!SANITIZER_URL_ATTRIBUTES.includes(name) || isSafeUrl(attribute.value))
+                if (!isAllowed) {
+                    node.removeAttribute(attribute.name)
+                }
+            })
+
+            // Yeni sekmede açılan link'ler açan sayfaya erişemesin
+            if (tag === 'a' && node.hasAttribute('target')) {
+                node.setAttribute('rel', 'noopener noreferrer')
+            }
+        })
+    }
+
+    sanitizeChildren(template.content)
+    return template.innerHTML
+}
+
+/**
+ * Transport formatlarına göre Content-Type header'ları
+ */
+const TRANSPORT_CONTENT_TYPES = {
+    'form': 'application/x-www-form-urlencoded',
+    'json': 'application/json',
+    'json-patch': 'application/json-patch+json',
+    'merge-patch': 'application/merge-patch+json'
+}
+
 class InlineEditManager {
-    constructor() {
-        this.activeField = null // Aktif edit mode olan field container
-        this.activeFieldData = null // Aktif field'ın data'sı
-        this.boundHandleClickOutside = null
+    /**
+     * @param {Object} options - Manager ayarları
+     * @param {Object|Function} options.transport - Transport ayarları (bkz. DEFAULT_TRANSPORT) veya custom sender fonksiyonu
+     * @param {number} options.timeout - Request timeout süresi (ms), 0 = timeout yok
+     * @param {Object|false} options.retry - Retry ayarları (bkz. DEFAULT_RETRY), false = retry yok
+     * @param {Object|boolean} options.offline - Offline save kuyruğu (bkz. DEFAULT_OFFLINE), default kapalı
+     * @param {boolean} options.optimistic - Optimistic update mode (field bazında data-inline-edit-optimistic ile override edilebilir)
+     * @param {Object} options.versioning - Versiyon token'ı gönderim ayarları (bkz. DEFAULT_VERSIONING)
+     * @param {boolean} options.allowMultiple - Aynı anda birden fazla field'ın edit mode'da olmasına izin ver
+     * @param {Object|false} options.history - Undo/redo geçmişi ayarları (bkz. DEFAULT_HISTORY), false = kapalı
+     * @param {string|Object} options.popover - Popup mode adapter'ı: 'auto' (default), 'bootstrap', 'overlay' veya custom adapter
+     * @param {Object} options.dialog - Modal/offcanvas mode için custom adapter (default: native <dialog>)
+     * @param {Object} options.remoteOptions - Remote select ayarları (bkz. DEFAULT_REMOTE_OPTIONS)
+     * @param {string} options.locale - Display formatlarının locale'i (default: <html lang> veya tarayıcı dili)
+     * @param {Object} options.formats - Format bazında Intl options (bkz. DEFAULT_FORMATS), örn. {currency: {currency: 'EUR'}}
+     * @param {string} options.language - Mesajların dili (default: locale, <html lang> veya tarayıcı dili)
+     * @param {string} options.fallbackLanguage - Dilde bulunmayan mesajlar için kullanılan dil (default 'en')
+     * @param {Object} options.messages - Dil bazında mesaj override'ları (bkz. MESSAGES), örn. {en: {'save.success': 'Saved.'}}
+     * @param {string|Object} options.notifier - Bildirim adapter'ı: 'toast' (built-in), custom adapter (bkz. NOOP_NOTIFIER)
+     *   veya verilmezse bildirim gösterilmez
+     * @param {Object} options.notifications - Durum bazında bildirim ayarları (bkz. DEFAULT_NOTIFICATIONS)
+     * @param {boolean} options.announce - Saving / saved / error durumlarını aria-live region ile ekran okuyuculara bildir (default true)
+     * @param {Object|boolean} options.navigation - Klavye navigasyonu (bkz. DEFAULT_NAVIGATION), default kapalı
+     * @param {Function|false} options.sanitizeHtml - Response'taki displayHtml için sanitizer (html, {field}) => string,
+     *   default DEFAULT_HTML_SANITIZER, false = sanitize etme (sadece güvenilen sunucular için)
+     */
+    constructor(options = {}) {
+        this.options = options
+        this.transport = this.normalizeTransport(options.transport)
+        this.timeout = options.timeout ?? 30000
+        this.retry = options.retry === false
+            ? { ...DEFAULT_RETRY, retries: 0 }
+            : { ...DEFAULT_RETRY, ...(options.retry || {}) }
+        this.offline = options.offline
+            ? { ...DEFAULT_OFFLINE, ...(options.offline === true ? {} : options.offline) }
+            : null
+        this.versioning = { ...DEFAULT_VERSIONING, ...(options.versioning || {}) }
+        this.isReplayingQueue = false // Offline kuyruk replay flag
+        this.optimisticSaves = new WeakMap() // Field -> devam eden optimistic save state'leri (sırayla)
+        this.boundHandleOnline = null // Online handler reference
+        this.allowMultiple = !!options.allowMultiple
+        this.openingGroup = null // enableGroup sırasında açılan grup (recursion guard)
+        this.history = options.history === false
+            ? null
+            : { ...DEFAULT_HISTORY, ...(options.history || {}) }
+        this.undoStack = [] // Kaydedilen değişiklikler: {field, oldValue, newValue, displayValue, ...}
+        this.redoStack = [] // Geri alınan değişiklikler
+        this.isApplyingHistory = false // Undo/redo request'i devam ediyor mu
+        this.validators = new Map() // addValidator ile kaydedilen custom validator'lar
+        this.remoteOptions = { ...DEFAULT_REMOTE_OPTIONS, ...(options.remoteOptions || {}) }
+        this.comboboxes = new WeakMap() // Multiple select -> combobox state
+        this.locale = options.locale || null
+        this.formats = options.formats || {}
+        this.formatters = new Map() // Intl formatter cache: locale|format|options -> formatter
+        this.language = options.language || null
+        this.fallbackLanguage = options.fallbackLanguage || 'en'
+        this.messages = Object.fromEntries(
+            Object.entries(options.messages || {}).map(([language, messages]) => [language.toLowerCase(), messages])
+        )
+        this.announcements = options.announce !== false
+        this.notifier = options.notifier === 'toast'
+            ? TOAST_NOTIFIER
+            : (options.notifier && typeof options.notifier === 'object' ? options.notifier : NOOP_NOTIFIER)
+        this.notifications = { ...DEFAULT_NOTIFICATIONS, ...(options.notifications || {}) }
+        this.liveRegions = {} // politeness ('polite' | 'assertive') -> aria-live region elementi
+        this.navigation = options.navigation
+            ? { ...DEFAULT_NAVIGATION, ...(options.navigation === true ? {} : options.navigation) }
+            : null
+        this.htmlSanitizer = options.sanitizeHtml === false
+            ? html => html
+            : (options.sanitizeHtml || DEFAULT_HTML_SANITIZER)
+        this.activeFields = new Map() // Edit mode'u açık field container'ları -> field data'ları
         this.isInitialized = false // Initialization flag
         this.boundHandleClick = null // Click handler reference
         this.boundHandleKeydown = null // Keydown handler reference
+        this.boundHandleChange = null // Change handler reference (instant save)
+        this.boundHandleFocusIn = null // Focusin handler reference (roving tabindex)
         this.eventListeners = {
             opened: [],
             save: [],
@@ -79,675 +993,3516 @@ class InlineEditManager {
             rejected: [],
             clicked: [],
             error: [],
-            closed: []
+            closed: [],
+            queued: [],
+            replayed: [],
+            conflict: [],
+            invalid: []
+        }
+        this.init()
+    }
+
+    /**
+     * Son açılan aktif field container (geriye dönük uyumluluk için)
+     */
+    get activeField() {
+        let lastField = null
+        for (const fieldElement of this.activeFields.keys()) {
+            lastField = fieldElement
+        }
+        return lastField
+    }
+
+    /**
+     * Son açılan aktif field'ın data'sı (geriye dönük uyumluluk için)
+     */
+    get activeFieldData() {
+        const fieldElement = this.activeField
+        return fieldElement ? this.activeFields.get(fieldElement) : null
+    }
+
+    /**
+     * Field'ın edit state'ini döner (edit mode'da değilse null)
+     */
+    getFieldData(fieldElement) {
+        return (fieldElement && this.activeFields.get(fieldElement)) || null
+    }
+
+    /**
+     * Field edit mode'da mı?
+     */
+    isActive(fieldElement) {
+        return this.activeFields.has(fieldElement)
+    }
+
+    /**
+     * Edit mode'daki tüm field container'larını döner
+     */
+    getActiveFields() {
+        return Array.from(this.activeFields.keys())
+    }
+
+    /**
+     * Element'in ait olduğu field container'ı bulur (popover içindeki elementler dahil)
+     */
+    getFieldForElement(element) {
+        if (!element || !element.closest) {
+            return null
+        }
+
+        const field = element.closest('[data-inline-edit-manager="true"]')
+        if (field) {
+            return field
+        }
+
+        for (const [fieldElement, fieldData] of this.activeFields) {
+            if (this.isDetachedMode(fieldData.editMode)) {
+                const popoverElement = this.getPopoverElement(fieldElement)
+                if (popoverElement && popoverElement.contains(element)) {
+                    return fieldElement
+                }
+            }
+        }
+
+        return null
+    }
+
+    /**
+     * Event listener ekle
+     * @param {string} eventName - Event adı: 'opened', 'save', 'saved', 'cancel', 'rejected', 'clicked', 'error', 'closed', 'queued', 'replayed', 'conflict', 'invalid'
+     * @param {Function} callback - Callback fonksiyonu
+     */
+    on(eventName, callback) {
+        if (this.eventListeners[eventName]) {
+            this.eventListeners[eventName].push(callback)
+        } else {
+            console.warn(`Unknown event: ${eventName}`)
+        }
+    }
+
+    /**
+     * Event listener kaldır
+     * @param {string} eventName - Event adı
+     * @param {Function} callback - Kaldırılacak callback fonksiyonu
+     */
+    off(eventName, callback) {
+        if (this.eventListeners[eventName]) {
+            const index = this.eventListeners[eventName].indexOf(callback)
+            if (index > -1) {
+                this.eventListeners[eventName].splice(index, 1)
+            }
+        }
+    }
+
+    /**
+     * Event emit et
+     * Tüm listener'lar aynı data objesini alır, böylece bir listener'ın yaptığı
+     * değişiklikler (örn. `value`, `preventDefault`) emit eden tarafa yansır.
+     * @param {string} eventName - Event adı
+     * @param {Object} data - Event data'sı
+     * @returns {Array} Listener'ların dönüş değerleri (Promise olabilir)
+     */
+    emit(eventName, data = {}) {
+        const results = []
+
+        if (!this.eventListeners[eventName]) {
+            return results
+        }
+
+        data.field = 'field' in data ? data.field : this.activeField
+        data.fieldData = data.fieldData || this.getFieldData(data.field)
+
+        this.eventListeners[eventName].forEach(callback => {
+            try {
+                results.push(callback(data))
+            } catch (error) {
+                console.error(`Error in event listener for ${eventName}:`, error)
+            }
+        })
+
+        return results
+    }
+
+    /**
+     * Listener sonuçlarını bekler (Promise dönen listener'lar dahil)
+     * `false` dönen veya `false`'a resolve olan bir listener işlemi iptal eder.
+     * Reject olan bir Promise hatayı yukarı fırlatır.
+     * @param {Array} results - emit() dönüş değeri
+     * @returns {Promise<boolean>} İşleme devam edilecekse true
+     */
+    async resolveListenerResults(results) {
+        const settled = await Promise.all(results)
+        return !settled.some(result => result === false)
+    }
+
+    init() {
+        // Eğer zaten init edildiyse tekrar init etme
+        if (this.isInitialized) {
+            return
+        }
+
+        this.isInitialized = true
+
+        // Event delegation - tek listener tüm click'leri yakalar
+        this.boundHandleClick = (e) => {
+            // Sadece data-inline-edit-manager="true" olan field'ları işle
+            const field = e.target.closest('[data-inline-edit-manager="true"]')
+            
+            // Enable edit butonuna tıklama (öncelikli kontrol)
+            if (e.target.matches('[data-inline-edit-enable]') || e.target.closest('[data-inline-edit-enable]')) {
+                if (field) {
+                    this.enableEdit(field, e)
+                }
+                return
+            }
+
+            // Read mode içine tıklama (editable area veya read mode container)
+            if (field) {
+                const readMode = field.querySelector('[data-inline-edit-read-mode]')
+                if (readMode && readMode.contains(e.target)) {
+                    // Edit mode açık değilse enable edit yap (popup/modal/offcanvas field'larda edit mode
+                    // elementi yoktur, read text'e tıklama da popover'ı açar). enableEdit açık olan diğer
+                    // field'ları (inline veya popup) kapatır.
+                    if (!this.isActive(field)) {
+                        this.enableEdit(field, e)
+                    }
+                    return
+                }
+            }
+
+            // Conflict çözüm butonlarına tıklama
+            const conflictButton = e.target.closest('[data-inline-edit-conflict-keep-mine], [data-inline-edit-conflict-take-theirs]')
+            if (conflictButton) {
+                const targetField = this.getFieldForElement(e.target)
+                if (targetField) {
+                    e.preventDefault()
+                    e.stopPropagation()
+                    const choice = conflictButton.hasAttribute('data-inline-edit-conflict-keep-mine') ? 'mine' : 'theirs'
+                    this.resolveConflict(targetField, choice)
+                }
+                return
+            }
+
+            // Save butonuna tıklama
+            if (e.target.matches('[data-inline-edit-save]') || e.target.closest('[data-inline-edit-save]')) {
+                // Popover içindeki butonlar için popover'ın ait olduğu field'ı kullan
+                const targetField = this.getFieldForElement(e.target)
+                if (targetField) {
+                    // Grup içindeki field'lar grup olarak kaydedilir
+                    const groupElement = this.getGroupElement(targetField)
+                    if (groupElement) {
+                        this.saveGroup(groupElement, e)
+                    } else {
+                        this.save(targetField, e)
+                    }
+                }
+                return
+            }
+
+            // Cancel butonuna tıklama
+            if (e.target.matches('[data-inline-edit-cancel]') || e.target.closest('[data-inline-edit-cancel]')) {
+                // Popover içindeki butonlar için popover'ın ait olduğu field'ı kullan
+                const targetField = this.getFieldForElement(e.target)
+                if (targetField) {
+                    // Grup içindeki field'lar grup olarak iptal edilir
+                    const groupElement = this.getGroupElement(targetField)
+                    if (groupElement) {
+                        this.cancelGroup(groupElement, e)
+                    } else {
+                        this.cancel(targetField, e)
+                    }
+                }
+                return
+            }
+
+            // Grup butonlarına tıklama (data-inline-edit-group container'ı içinde)
+            const groupButton = e.target.closest('[data-inline-edit-group-edit], [data-inline-edit-group-save], [data-inline-edit-group-cancel]')
+            const buttonGroup = groupButton ? groupButton.closest('[data-inline-edit-group]') : null
+            if (buttonGroup) {
+                if (groupButton.hasAttribute('data-inline-edit-group-save')) {
+                    this.saveGroup(buttonGroup, e)
+                } else if (groupButton.hasAttribute('data-inline-edit-group-cancel')) {
+                    this.cancelGroup(buttonGroup, e)
+                } else {
+                    e.preventDefault()
+                    this.enableGroup(buttonGroup)
+                }
+                return
+            }
+
+            // Click outside - aktif field'ların dışına tıklandıysa cancel yap
+            this.getActiveFields().forEach(activeField => {
+                if (!activeField.contains(e.target) && this.isOutsideClick(activeField, e.target)) {
+                    this.cancel(activeField)
+                }
+            })
+        }
+
+        // Click event listener'ı ekle
+        document.addEventListener('click', this.boundHandleClick)
+
+        // Keyboard shortcuts - tek listener
+        this.boundHandleKeydown = (e) => {
+            // Ctrl+Z = Undo, Ctrl+Shift+Z = Redo (input focus'ta değilken, tarayıcının kendi undo'su çalışsın)
+            if (this.history?.keyboard && (e.ctrlKey || e.metaKey) && e.key?.toLowerCase() === 'z'
+                && !this.isTextEntryElement(document.activeElement)
+                && (e.shiftKey ? this.canRedo() : this.canUndo())) {
+                e.preventDefault()
+                if (e.shiftKey) {
+                    this.redo()
+                } else {
+                    this.undo()
+                }
+                return
+            }
+
+            // Edit butonunda klavye navigasyonu (ok tuşları, Enter / F2 ile edit mode)
+            if (this.navigation && document.activeElement?.matches?.('[data-inline-edit-enable]')) {
+                this.handleNavigationKey(e, this.getFieldForElement(document.activeElement))
+                return
+            }
+
+            if (this.activeFields.size === 0) return
+
+            const focusedField = this.getFieldForElement(document.activeElement)
+
+            // Escape = Pending save request'ini iptal et (input loading state'te disabled olduğu için focus'ta değildir)
+            if (e.key === 'Escape') {
+                const pendingField = [focusedField, this.activeField].find(field => field && this.hasPendingRequest(field))
+                if (pendingField) {
+                    e.preventDefault()
+                    this.cancel(pendingField)
+                    return
+                }
+            }
+
+            if (!focusedField || !this.isActive(focusedField)) {
+                return
+            }
+
+            // Focus input'ta, input container'ının içinde (örn. radio group), remote select'in arama input'unda
+            // veya combobox'ta olmalı
+            const input = this.getFormElement(focusedField)
+            if (!input || !(input.contains(document.activeElement)
+                || document.activeElement.hasAttribute('data-inline-edit-options-search')
+                || this.comboboxes.get(input)?.input === document.activeElement)) {
+                return
+            }
+
+            const groupElement = this.getGroupElement(focusedField)
+
+            // Tab / Shift+Tab = Save ve sonraki / önceki field'ı aç (spreadsheet mode, grup dışındaki field'lar)
+            if (e.key === 'Tab' && this.navigation?.tab && !groupElement) {
+                e.preventDefault()
+                this.saveAndMove(focusedField, e.shiftKey ? -1 : 1)
+                return
+            }
+
+            // Enter = Save
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault()
+                if (groupElement) {
+                    this.saveGroup(groupElement)
+                } else {
+                    this.save(focusedField)
+                }
+                return
+            }
+
+            // Escape = Cancel
+            if (e.key === 'Escape') {
+                e.preventDefault()
+                if (groupElement) {
+                    this.cancelGroup(groupElement)
+                } else {
+                    this.cancel(focusedField)
+                }
+                return
+            }
+        }
+
+        // Keydown event listener'ı ekle
+        document.addEventListener('keydown', this.boundHandleKeydown)
+
+        // Instant save: data-inline-edit-instant field'larında değer değişince Save beklemeden kaydet
+        this.boundHandleChange = (e) => {
+            // Radio group gibi type'larda değişen element data-inline-edit-input container'ının içindedir
+            if (!e.target.closest?.('[data-inline-edit-input]')) return
+
+            const targetField = this.getFieldForElement(e.target)
+            if (!targetField || targetField.dataset.inlineEditInstant !== 'true' || !this.isActive(targetField)) {
+                return
+            }
+
+            // Grup içindeki field'lar grup Save'i ile kaydedilir
+            if (this.getGroupElement(targetField)) {
+                return
+            }
+
+            this.save(targetField)
+        }
+        document.addEventListener('change', this.boundHandleChange)
+
+        // Spreadsheet mode: edit butonları roving tabindex ile focus alır
+        if (this.navigation) {
+            this.boundHandleFocusIn = (e) => {
+                if (e.target.matches?.('[data-inline-edit-enable]')) {
+                    this.setRovingField(this.getFieldForElement(e.target))
+                }
+            }
+            document.addEventListener('focusin', this.boundHandleFocusIn)
+
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this.refreshNavigation(), { once: true })
+            } else {
+                this.refreshNavigation()
+            }
+        }
+
+        // Offline mode: bağlantı geri geldiğinde ve sayfa yüklendiğinde kuyruğu replay et
+        if (this.offline) {
+            this.boundHandleOnline = () => this.replayOfflineQueue()
+            window.addEventListener('online', this.boundHandleOnline)
+
+            this.applyOfflineQueueToDOM()
+            if (navigator.onLine !== false) {
+                this.replayOfflineQueue()
+            }
+        }
+    }
+
+    /**
+     * Cleanup - event listener'ları kaldır
+     */
+    destroy() {
+        if (this.boundHandleClick) {
+            document.removeEventListener('click', this.boundHandleClick)
+            this.boundHandleClick = null
+        }
+        
+        if (this.boundHandleKeydown) {
+            document.removeEventListener('keydown', this.boundHandleKeydown)
+            this.boundHandleKeydown = null
+        }
+
+        if (this.boundHandleChange) {
+            document.removeEventListener('change', this.boundHandleChange)
+            this.boundHandleChange = null
+        }
+
+        if (this.boundHandleFocusIn) {
+            document.removeEventListener('focusin', this.boundHandleFocusIn)
+            this.boundHandleFocusIn = null
+        }
+
+        this.activeFields.forEach(fieldData => this.removeClickOutsideListener(fieldData))
+
+        Object.values(this.liveRegions).forEach(region => region.remove())
+        this.liveRegions = {}
+
+        if (this.boundHandleOnline) {
+            window.removeEventListener('online', this.boundHandleOnline)
+            this.boundHandleOnline = null
+        }
+
+        this.isInitialized = false
+    }
+
+    /**
+     * Bundle'ın açtığı tüm açık popover'ları kapatır
+     */
+    closeAllOpenPopovers() {
+        // Tüm inline-edit-field elementlerini bul
+        const allFields = document.querySelectorAll('[data-inline-edit-manager="true"]')
+        
+        allFields.forEach(field => {
+            // Sadece popover/dialog modunda olan field'ları kontrol et
+            const editMode = field.dataset.inlineEditMode || 'inline'
+            if (!this.isDetachedMode(editMode)) return
+            
+            // Popover instance'ı varsa kapat
+            this.disposePopover(field)
+        })
+    }
+
+    /**
+     * Edit alanı field dışında (popover veya dialog içinde) mı açılıyor
+     */
+    isDetachedMode(editMode) {
+        return DETACHED_EDIT_MODES.includes(editMode)
+    }
+
+    /**
+     * Edit mode için kullanılacak popover adapter'ını döner
+     * - modal/offcanvas: options.dialog (custom adapter) veya built-in native <dialog> adapter'ı
+     * - popup 'auto': Bootstrap JS yüklüyse Bootstrap Popover, değilse built-in overlay
+     */
+    getPopoverAdapter(editMode = 'popup') {
+        if (editMode === 'modal' || editMode === 'offcanvas') {
+            return this.options.dialog && typeof this.options.dialog === 'object'
+                ? this.options.dialog
+                : DIALOG_POPOVER_ADAPTER
+        }
+
+        const adapter = this.options.popover ?? 'auto'
+
+        if (adapter && typeof adapter === 'object') {
+            return adapter
+        }
+        if (adapter === 'bootstrap' || (adapter === 'auto' && window.bootstrap?.Popover)) {
+            return BOOTSTRAP_POPOVER_ADAPTER
+        }
+        return OVERLAY_POPOVER_ADAPTER
+    }
+
+    /**
+     * Field'ın kendi popover elementini döner (adapter'ın getElement'i ile, Bootstrap için instance.tip)
+     * Sayfadaki diğer popover/tooltip'ler yerine sadece bu field için oluşturulan popover kullanılır.
+     * @returns {HTMLElement|null} Popover gösterilmiyorsa null
+     */
+    getPopoverElement(fieldElement) {
+        if (!fieldElement?._popoverInstance) {
+            return null
+        }
+
+        const adapter = fieldElement._popoverAdapter || this.getPopoverAdapter(fieldElement.dataset.inlineEditMode)
+        return adapter.getElement(fieldElement._popoverInstance) || null
+    }
+
+    /**
+     * Field'ın popover'ını, oluşturan adapter ile dispose eder
+     */
+    disposePopover(fieldElement) {
+        if (!fieldElement._popoverInstance) {
+            return
+        }
+
+        try {
+            const adapter = fieldElement._popoverAdapter || this.getPopoverAdapter(fieldElement.dataset.inlineEditMode)
+            adapter.dispose(fieldElement._popoverInstance)
+        } catch (error) {
+            console.warn('Popover dispose error:', error)
+        } finally {
+            fieldElement._popoverInstance = null
+            fieldElement._popoverAdapter = null
+        }
+    }
+
+    /**
+     * Edit mode'u aktif eder
+     */
+    enableEdit(fieldElement, event) {
+        if (event) {
+            event.preventDefault()
+            event.stopPropagation()
+        }
+
+        // Grup içindeki field tüm grubu edit mode'a alır
+        const groupElement = this.getGroupElement(fieldElement)
+        if (groupElement && this.openingGroup !== groupElement) {
+            this.enableGroup(groupElement, fieldElement)
+            return
+        }
+
+        // Başka field'lar edit mode'daysa önce onları kapat
+        // (allowMultiple modunda sadece popover'lar kapatılır, inline field'lar açık kalır,
+        // aynı gruptaki field'lar kapatılmaz)
+        this.getActiveFields().forEach(activeField => {
+            if (activeField === fieldElement) return
+            if (groupElement && this.getGroupElement(activeField) === groupElement) return
+            if (!this.allowMultiple || this.isDetachedMode(this.getFieldData(activeField).editMode)) {
+                this.cancel(activeField)
+            }
+        })
+
+        // Bundle'ın açtığı tüm açık popover'ları kapat (ekran dışında kalanlar dahil)
+        this.closeAllOpenPopovers()
+
+        // Data attribute'lardan bilgileri oku
+        const url = fieldElement.dataset.inlineEditUrl
+        const fieldPath = fieldElement.dataset.inlineEditFieldPath || ''
+        const originalValue = fieldElement.dataset.inlineEditValue || ''
+        const inputType = fieldElement.dataset.inlineEditInputType || 'input'
+        const htmlType = fieldElement.dataset.inlineEditHtmlType || 'text'
+        const placeholder = fieldElement.dataset.inlineEditPlaceholder || ''
+        const editMode = fieldElement.dataset.inlineEditMode || 'inline'
+
+        // Read mode'u bul
+        const readMode = fieldElement.querySelector('[data-inline-edit-read-mode]')
+        
+        if (!readMode) {
+            console.warn('Inline edit field structure invalid:', fieldElement)
+            return
+        }
+
+        // Popover ve dialog (modal, offcanvas) modları için özel işlem
+        if (this.isDetachedMode(editMode)) {
+            return this.enableEditPopover(fieldElement, {
+                url,
+                fieldPath,
+                originalValue,
+                inputType,
+                htmlType,
+                placeholder,
+                readMode,
+                editMode
+            })
+        }
+
+        // Inline modu için edit mode'u bul
+        const editModeElement = fieldElement.querySelector('[data-inline-edit-edit-mode]')
+        if (!editModeElement) {
+            console.warn('Edit mode element not found for inline mode:', fieldElement)
+            return
+        }
+
+        // Edit mode zaten açıksa
+        if (editModeElement && !editModeElement.classList.contains('d-none')) {
+            return
+        }
+
+        // Template element'inden content'i clone'la
+        const contentTemplate = fieldElement.querySelector('[data-inline-edit-content-template]')
+        if (!contentTemplate) {
+            console.warn('Content template not found:', fieldElement)
+            return
+        }
+
+        // Template content'ini clone'la
+        const contentClone = contentTemplate.content.cloneNode(true)
+        
+        // Input'u bul ve ayarla
+        const input = contentClone.querySelector('[data-inline-edit-input]')
+        if (input) {
+            if (inputType === 'input' && input.tagName === 'INPUT') {
+                input.type = htmlType
+            }
+            if (placeholder) {
+                input.placeholder = placeholder
+            }
+            
+            // Güncel değeri kullan (dataset'ten al, çünkü updateFieldValue ile güncellenmiş olabilir)
+            const currentValue = fieldElement.dataset.inlineEditValue || originalValue
+            this.setInputValue(input, currentValue, fieldElement)
+        }
+
+        // Edit mode container'ı temizle ve clone'lanmış content'i ekle
+        editModeElement.innerHTML = ''
+        editModeElement.appendChild(contentClone)
+
+        // Edit mode'u aç
+        readMode.classList.add('d-none')
+        editModeElement.classList.remove('d-none')
+
+        // DOM'a eklendikten sonra gerçek form element'ini bul
+        const formElement = editModeElement.querySelector('[data-inline-edit-input]')
+
+        // Form element'ini focus et
+        if (formElement) {
+            setTimeout(() => this.focusInput(fieldElement, formElement), 50)
+        }
+
+        // Aktif field'ı kaydet
+        // Güncel değeri kullan
+        const currentValue = fieldElement.dataset.inlineEditValue || originalValue
+        const fieldData = {
+            url,
+            fieldPath,
+            originalValue: currentValue,
+            inputType,
+            htmlType,
+            placeholder,
+            version: fieldElement.dataset.inlineEditVersion || null,
+            editMode: 'inline'
+        }
+        this.setActiveField(fieldElement, fieldData)
+
+        // Multiple select'i combobox'a çevir, remote select ise ilk sayfayı yükle
+        if (formElement) {
+            this.initCombobox(fieldElement, formElement)
+            this.initRemoteOptions(fieldElement, formElement)
+            this.labelFormElement(fieldElement, formElement)
+        }
+        this.setExpanded(fieldElement, true)
+
+        // Error mesajını temizle
+        this.clearError(fieldElement)
+
+        // Event emit: opened (edit mode açıldı)
+        this.emit('opened', {
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: formElement
+        })
+
+        // Event emit: clicked (edit butonuna tıklandı)
+        this.emit('clicked', {
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: formElement
+        })
+    }
+
+    /**
+     * Field'ı aktif field'lara ekler ve click outside listener'ını bağlar
+     */
+    setActiveField(fieldElement, fieldData) {
+        const previousData = this.getFieldData(fieldElement)
+        if (previousData) {
+            this.removeClickOutsideListener(previousData)
+        }
+
+        // Map'in sonuna taşı (activeField son açılan field'ı döner)
+        this.activeFields.delete(fieldElement)
+        this.activeFields.set(fieldElement, fieldData)
+
+        // Click outside listener ekle
+        fieldData.boundHandleClickOutside = (e) => {
+            if (this.getFieldData(fieldElement) !== fieldData) return
+
+            if (this.isOutsideClick(fieldElement, e.target)) {
+                this.cancel(fieldElement)
+            }
+        }
+
+        // Capture phase'de dinle (biraz gecikmeyle ki enable edit event'i tamamlansın)
+        setTimeout(() => {
+            if (this.getFieldData(fieldElement) === fieldData && fieldData.boundHandleClickOutside) {
+                document.addEventListener('click', fieldData.boundHandleClickOutside, true)
+            }
+        }, 0)
+    }
+
+    /**
+     * Field'ın click outside listener'ını kaldırır
+     */
+    removeClickOutsideListener(fieldData) {
+        if (fieldData && fieldData.boundHandleClickOutside) {
+            document.removeEventListener('click', fieldData.boundHandleClickOutside, true)
+            fieldData.boundHandleClickOutside = null
+        }
+    }
+
+    /**
+     * Tıklama field'ın edit alanının (inline edit mode veya popover) dışında mı?
+     * Save request'i devam ediyorsa cancel yapılmaz, request iptal olmasın.
+     * allowMultiple modunda inline field'lar click outside ile kapanmaz.
+     */
+    isOutsideClick(fieldElement, target) {
+        const fieldData = this.getFieldData(fieldElement)
+        if (!fieldData || this.hasPendingRequest(fieldElement)) {
+            return false
+        }
+
+        // Click sırasında DOM'dan kaldırılan element (örn. yeniden render edilen combobox chip'i) dışarısı sayılmaz
+        if (!target.isConnected) {
+            return false
+        }
+
+        if (this.isDetachedMode(fieldData.editMode)) {
+            const popoverElement = this.getPopoverElement(fieldElement)
+            const triggerBtn = fieldElement.querySelector('[data-inline-edit-enable]')
+
+            // Popover içine veya trigger button'a tıklanmadıysa
+            return !!(popoverElement && !popoverElement.contains(target) &&
+                triggerBtn && !triggerBtn.contains(target))
+        }
+
+        if (this.allowMultiple) {
+            return false
+        }
+
+        // Grup içindeki tıklamalar (diğer grup field'ları, grup butonları) dışarısı sayılmaz
+        const groupElement = this.getGroupElement(fieldElement)
+        if (groupElement && groupElement.contains(target)) {
+            return false
+        }
+
+        // Edit mode içindeki elementlere tıklanmadıysa
+        const editModeElement = fieldElement.querySelector('[data-inline-edit-edit-mode]')
+        return !!(editModeElement && !editModeElement.contains(target))
+    }
+
+    /**
+     * Edit mode'daki tüm field'ları kaydeder
+     * @returns {Promise<void>}
+     */
+    async saveAll() {
+        const groups = new Set()
+        const saves = []
+
+        this.getActiveFields().forEach(fieldElement => {
+            const groupElement = this.getGroupElement(fieldElement)
+            if (!groupElement) {
+                saves.push(this.save(fieldElement))
+            } else if (!groups.has(groupElement)) {
+                groups.add(groupElement)
+                saves.push(this.saveGroup(groupElement))
+            }
+        })
+
+        await Promise.all(saves)
+    }
+
+    /**
+     * Edit mode'daki tüm field'ları iptal eder
+     */
+    cancelAll() {
+        this.getActiveFields().forEach(fieldElement => this.cancel(fieldElement))
+    }
+
+    /**
+     * Kaydedilen değişikliği undo stack'ine ekler, redo stack'ini temizler
+     * @param {HTMLElement} fieldElement - Field container'ı
+     * @param {Object} change - {oldValue, oldDisplayValue, oldDisplayHtml, newValue, displayValue, displayHtml, isMultiple}
+     */
+    recordHistory(fieldElement, change) {
+        if (!this.history || this.history.limit <= 0) {
+            return
+        }
+
+        // Multiple field'ların eski değeri data attribute'tan virgülle birleşik string gelir,
+        // undo'da array formatında (personel[tags][]=...) gönderilsin diye array'e çevrilir
+        const oldValue = change.isMultiple && !Array.isArray(change.oldValue)
+            ? (change.oldValue ? String(change.oldValue).split(',') : [])
+            : (change.oldValue ?? '')
+
+        this.undoStack.push({
+            field: fieldElement,
+            oldValue: oldValue,
+            oldDisplayValue: change.oldDisplayValue ?? null,
+            oldDisplayHtml: change.oldDisplayHtml ?? null,
+            newValue: change.newValue,
+            displayValue: change.displayValue ?? null,
+            displayHtml: change.displayHtml ?? null,
+            isMultiple: !!change.isMultiple,
+            savedAt: Date.now()
+        })
+
+        if (this.undoStack.length > this.history.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.history.limit)
+        }
+        this.redoStack = []
+    }
+
+    /**
+     * Son kaydedilen değişikliği geri alır (eski değer sunucuya gönderilir)
+     * @returns {Promise<boolean>} Geri alma başarılıysa true
+     */
+    async undo() {
+        return this.applyHistory('undo')
+    }
+
+    /**
+     * Son geri alınan değişikliği tekrar uygular
+     * @returns {Promise<boolean>} Tekrar uygulama başarılıysa true
+     */
+    async redo() {
+        return this.applyHistory('redo')
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0
+    }
+
+    /**
+     * Undo/redo geçmişini temizler
+     */
+    clearHistory() {
+        this.undoStack = []
+        this.redoStack = []
+    }
+
+    /**
+     * Geçmişteki kaydı sunucuya gönderir (normal submitPatch yolu: transport, versiyon, timeout ve retry)
+     * Başarılıysa DOM güncellenir ve kayıt karşı stack'e taşınır, hata durumunda kayıt stack'te kalır.
+     * Field sayfadan kaldırılmışsa kayıt atılır ve 'history' bildirimi gösterilir.
+     * @param {string} direction - 'undo' veya 'redo'
+     */
+    async applyHistory(direction) {
+        const fromStack = direction === 'undo' ? this.undoStack : this.redoStack
+        const toStack = direction === 'undo' ? this.redoStack : this.undoStack
+
+        if (!this.history || this.isApplyingHistory || fromStack.length === 0) {
+            return false
+        }
+
+        const entry = fromStack.pop()
+        const fieldElement = entry.field
+
+        // Field DOM'dan kaldırılmışsa kayıt uygulanamaz: atla ve kullanıcıya bildir
+        if (!fieldElement.isConnected) {
+            const message = this.t('history.unavailable')
+            this.announce(message, 'assertive')
+            this.notify('history', 'error', message)
+            return false
+        }
+
+        // Field edit mode'daysa önce kapat
+        if (this.isActive(fieldElement)) {
+            this.cancel(fieldElement)
+        }
+
+        const value = direction === 'undo' ? entry.oldValue : entry.newValue
+        const displayValue = direction === 'undo' ? entry.oldDisplayValue : entry.displayValue
+        const displayHtml = direction === 'undo' ? entry.oldDisplayHtml : entry.displayHtml
+        const fieldData = {
+            url: fieldElement.dataset.inlineEditUrl,
+            fieldPath: fieldElement.dataset.inlineEditFieldPath || '',
+            version: fieldElement.dataset.inlineEditVersion || null,
+            originalValue: fieldElement.dataset.inlineEditValue || '',
+            htmlType: fieldElement.dataset.inlineEditHtmlType || 'text'
+        }
+
+        this.isApplyingHistory = true
+
+        let errorMessage
+        let error
+        let data = null
+        try {
+            const response = await this.sendWithRetry(
+                signal => this.submitPatch(value, entry.isMultiple, signal, fieldData),
+                [fieldData],
+                { field: fieldElement, fieldData: fieldData, formElement: null }
+            )
+
+            const contentType = response.headers.get('Content-Type')
+            data = contentType && contentType.includes('application/json')
+                ? await response.json().catch(() => null)
+                : null
+
+            if (response.ok) {
+                this.updateVersion(fieldElement, this.getResponseVersion(response, data || {}))
+
+                // Sunucunun render ettiği display varsa onu, yoksa geçmişteki görünümü kullan
+                const display = this.resolveServerDisplay(data, fieldElement, value, displayValue)
+                const isServerDisplay = display.displayHtml !== null
+                    || display.displayValue !== displayValue
+                    || display.value !== value
+                this.updateDOM(display.value, fieldElement, display.displayValue, isServerDisplay ? display.displayHtml : displayHtml)
+                toStack.push(entry)
+
+                const message = data?.message || this.t(direction === 'undo' ? 'history.undone' : 'history.redone')
+                this.announce(message)
+                this.notify('history', 'success', message)
+
+                // Event emit: saved (history ile birlikte)
+                this.emit('saved', {
+                    field: fieldElement,
+                    fieldData: fieldData,
+                    formElement: null,
+                    value: display.value,
+                    displayValue: display.displayValue,
+                    displayHtml: display.displayHtml,
+                    response: data,
+                    history: direction
+                })
+                return true
+            }
+
+            errorMessage = data
+                ? this.extractErrorMessage(data, fieldElement)
+                : `HTTP ${response.status}`
+            error = errorMessage
+        } catch (e) {
+            console.error('Inline edit ' + direction + ' error:', e)
+            error = e
+            errorMessage = e?.name === 'TimeoutError'
+                ? this.t('save.timeout')
+                : this.t('history.error')
+        } finally {
+            this.isApplyingHistory = false
+        }
+
+        // Başarısız - kayıt tekrar denenebilsin diye stack'e geri konur
+        fromStack.push(entry)
+
+        this.announce(errorMessage, 'assertive')
+        this.notify('history', 'error', errorMessage, {
+            label: this.t('save.retry'),
+            handler: () => this[direction]()
+        })
+
+        // Event emit: error
+        this.emit('error', {
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: null,
+            error: error,
+            action: direction,
+            response: data
+        })
+        return false
+    }
+
+    /**
+     * Save success bildirimini gösterir (history açıksa "Geri al" aksiyonu ile)
+     */
+    notifySaved(message) {
+        this.announce(message)
+
+        const action = this.history?.notificationAction && this.canUndo()
+            ? { label: this.t('history.undo'), handler: () => this.undo() }
+            : null
+        this.notify('saved', 'success', message, action)
+    }
+
+    /**
+     * Bildirimi notifications ayarına göre notifier adapter'ı ile gösterir
+     * @param {string} event - DEFAULT_NOTIFICATIONS key'i ('saved', 'error', 'history', 'conflict')
+     * @param {string} type - Adapter metodu: 'success', 'error' veya 'info'
+     * @param {Object|null} action - Aksiyon butonu {label, handler}
+     */
+    notify(event, type, message, action = null) {
+        const setting = this.notifications[event]
+        if (!setting || !message) {
+            return
+        }
+
+        let notification = { event, type, message, action }
+        if (typeof setting === 'function') {
+            notification = setting(notification)
+            if (!notification) {
+                return
+            }
+        }
+
+        const options = notification.action
+            ? { event: notification.event, action: notification.action }
+            : { event: notification.event }
+        this.notifier[notification.type]?.(notification.message, options)
+    }
+
+    /**
+     * Field'ın read mode'da gösterilen metnini döner
+     */
+    getDisplayText(fieldElement) {
+        // Formatter'ı olan type'larda display değerden yeniden üretilir (HTML label'lar korunur)
+        if (this.getFieldType(fieldElement)?.format) {
+            return null
+        }
+
+        const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+        return editable ? editable.textContent : null
+    }
+
+    /**
+     * Read view'ın mevcut HTML'i (undo'da sunucu / Twig tarafından render edilmiş görünümü aynen geri koymak için)
+     */
+    getDisplayHtml(fieldElement) {
+        const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+        return editable ? editable.innerHTML.trim() : null
+    }
+
+    /**
+     * Save response'undaki sunucu tarafı değerleri çözümler
+     * Response'ta `value` (normalize edilmiş değer), `displayValue` (text) veya `displayHtml` (sanitize edilir)
+     * varsa client-side değerlerin yerine geçer. Grup save'inde değerler `fields[fieldPath]` altında aranır.
+     * @param {boolean} groupOnly - Sadece data.fields altına bak (grup response'unun root'u tek field'a ait değildir)
+     * @returns {{value: *, displayValue: *, displayHtml: ?string}}
+     */
+    resolveServerDisplay(data, fieldElement, value, displayValue, groupOnly = false) {
+        const fieldPath = fieldElement.dataset.inlineEditFieldPath || ''
+        const fieldResult = data?.fields && typeof data.fields === 'object' ? data.fields[fieldPath] : undefined
+        const source = fieldResult ?? (groupOnly ? null : data)
+
+        if (!source || typeof source !== 'object') {
+            return { value, displayValue, displayHtml: null }
+        }
+
+        const resolved = {
+            value: source.value !== undefined && source.value !== null ? source.value : value,
+            displayValue: displayValue,
+            displayHtml: null
+        }
+
+        if (typeof source.displayHtml === 'string') {
+            resolved.displayHtml = this.htmlSanitizer(source.displayHtml, { field: fieldElement })
+            resolved.displayValue = source.displayValue ?? displayValue
+        } else if (source.displayValue !== undefined && source.displayValue !== null) {
+            resolved.displayValue = source.displayValue
+        } else if (resolved.value !== value) {
+            // Sunucu değeri değiştirdiyse client-side display (örn. selectedTexts) artık geçerli değil
+            resolved.displayValue = null
+        }
+
+        return resolved
+    }
+
+    /**
+     * Element metin girişi alıyor mu (input, textarea, select, contenteditable)
+     */
+    isTextEntryElement(element) {
+        if (!element) {
+            return false
+        }
+
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable
+    }
+
+    /**
+     * Custom validator kaydeder
+     * Field'da `data-inline-edit-validate="name"` (birden fazlası boşluk veya virgülle) ile kullanılır.
+     * Validator `(value, {field, fieldData, formElement, manager})` alır; `false` veya hata mesajı (string)
+     * dönerse değer geçersiz sayılır. Promise dönebilir.
+     * @param {string} name - Validator adı
+     * @param {Function} validator - Validator fonksiyonu
+     */
+    addValidator(name, validator) {
+        if (typeof validator !== 'function') {
+            throw new TypeError(`Validator "${name}" must be a function`)
+        }
+        this.validators.set(name, validator)
+    }
+
+    /**
+     * Field'ı validate eder, geçersizse hatayı gösterir ve 'invalid' emit eder
+     * @returns {Promise<boolean>} Değer geçerliyse true
+     */
+    async validateField(fieldElement, formElement, value) {
+        const fieldData = this.getFieldData(fieldElement)
+        if (!fieldData) {
+            return false
+        }
+
+        fieldData.isValidating = true
+        let failure
+        try {
+            failure = await this.validate(fieldElement, formElement, value)
+        } catch (error) {
+            // Validator'ın kendisi hata fırlattı - değeri geçersiz say
+            console.error('Inline edit validator error:', error)
+            failure = { rule: null, message: error?.message || this.t('validation.failed') }
+        } finally {
+            fieldData.isValidating = false
+        }
+
+        if (!failure) {
+            // Önceki validation hatasını temizle
+            if (fieldData.validationError) {
+                fieldData.validationError = null
+                this.clearError(fieldElement)
+            }
+            return true
+        }
+
+        // Validation sırasında field kapatıldıysa hata gösterme
+        if (this.getFieldData(fieldElement) !== fieldData) {
+            return false
+        }
+
+        fieldData.validationError = failure
+        this.showError(fieldElement, failure.message)
+        this.focusInput(fieldElement, formElement, false)
+
+        // Event emit: invalid (request gönderilmedi)
+        this.emit('invalid', {
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: formElement,
+            value: value,
+            rule: failure.rule,
+            message: failure.message
+        })
+        return false
+    }
+
+    /**
+     * Save hook'u gönderilecek değeri değiştirdiyse yeni değeri input'a yazar ve tekrar validate eder
+     * (hook'un ürettiği değer de required, pattern ve custom validator'lardan geçmeli)
+     * @param {*} validatedValue - Hook'lardan önce validate edilmiş değer
+     * @returns {Promise<boolean>} Değer değişmediyse veya yeni değer geçerliyse true
+     */
+    async revalidateChangedValue(saveEvent, validatedValue) {
+        const { field, fieldData, formElement, value } = saveEvent
+        if (this.normalizeValueForComparison(value) === this.normalizeValueForComparison(validatedValue)) {
+            return true
+        }
+
+        this.setInputValue(formElement, value, field)
+
+        // Disabled input constraint validation'a girmez; loading state validation süresince kaldırılır
+        this.setLoadingState(field, false)
+        const isValid = await this.validateField(field, formElement, value)
+        if (isValid && this.getFieldData(field) === fieldData) {
+            this.setLoadingState(field, true)
+        }
+        return isValid
+    }
+
+    /**
+     * Değeri HTML5 constraint'lerine (required, pattern, min/max, maxlength, type=email...) ve
+     * field'ın custom validator'larına göre kontrol eder
+     * @returns {Promise<Object|null>} Geçersizse {rule, message}, geçerliyse null
+     */
+    async validate(fieldElement, formElement, value) {
+        // 1. HTML5 constraint'leri (attr config'inden input'a eklenen attribute'lar)
+        if (formElement.validity && !formElement.validity.valid) {
+            const key = Object.keys(VALIDITY_RULES).find(validityKey => formElement.validity[validityKey])
+            if (key) {
+                const rule = VALIDITY_RULES[key]
+                const customMessage = formElement.getAttribute(`data-inline-edit-message-${rule}`)
+                const messageKey = typeof VALIDATION_MESSAGES[key] === 'function'
+                    ? VALIDATION_MESSAGES[key](formElement)
+                    : VALIDATION_MESSAGES[key]
+                const defaultMessage = key === 'patternMismatch' && formElement.title
+                    ? formElement.title
+                    : this.t(messageKey, {
+                        min: formElement.min,
+                        max: formElement.max,
+                        minLength: formElement.minLength,
+                        maxLength: formElement.maxLength
+                    })
+                return { rule, message: customMessage || defaultMessage }
+            }
+        }
+
+        // 2. Custom validator'lar (data-inline-edit-validate, input veya field container'ında)
+        const names = (formElement.dataset.inlineEditValidate || fieldElement.dataset.inlineEditValidate || '')
+            .split(/[\s,]+/)
+            .filter(name => name)
+
+        for (const name of names) {
+            const validator = this.validators.get(name)
+            if (!validator) {
+                console.warn(`Unknown inline edit validator: ${name}`)
+                continue
+            }
+
+            const result = await validator(value, {
+                field: fieldElement,
+                fieldData: this.getFieldData(fieldElement),
+                formElement: formElement,
+                manager: this
+            })
+
+            if (result === false || typeof result === 'string') {
+                return {
+                    rule: name,
+                    message: typeof result === 'string' && result ? result : this.t('validation.invalid')
+                }
+            }
+        }
+
+        return null
+    }
+
+    /**
+     * Field'ın ait olduğu grup container'ını döner (data-inline-edit-group)
+     */
+    getGroupElement(fieldElement) {
+        return fieldElement?.closest?.('[data-inline-edit-group]') || null
+    }
+
+    /**
+     * Grup container'ı içindeki field'ları döner
+     */
+    getGroupFields(groupElement) {
+        return Array.from(groupElement.querySelectorAll('[data-inline-edit-manager="true"]'))
+    }
+
+    /**
+     * Grup aksiyon butonlarını (data-inline-edit-group-actions) gösterir/gizler
+     */
+    toggleGroupActions(groupElement, isEditing) {
+        groupElement.querySelectorAll('[data-inline-edit-group-actions]').forEach(actions => {
+            actions.classList.toggle('d-none', !isEditing)
+        })
+        groupElement.querySelectorAll('[data-inline-edit-group-edit]').forEach(button => {
+            button.setAttribute('aria-expanded', isEditing ? 'true' : 'false')
+        })
+    }
+
+    /**
+     * Gruptaki tüm field'ları edit mode'a alır
+     * @param {HTMLElement} groupElement - data-inline-edit-group container'ı
+     * @param {HTMLElement|null} focusField - Focus edilecek field (default: ilk field)
+     */
+    enableGroup(groupElement, focusField = null) {
+        const fields = this.getGroupFields(groupElement)
+        if (fields.length === 0) {
+            return
+        }
+
+        this.openingGroup = groupElement
+        try {
+            fields.forEach(fieldElement => {
+                if (!this.isActive(fieldElement)) {
+                    this.enableEdit(fieldElement)
+                }
+            })
+        } finally {
+            this.openingGroup = null
+        }
+
+        this.toggleGroupActions(groupElement, true)
+
+        // Tıklanan field'ı focus et (enableEdit'lerin kendi focus'undan sonra)
+        const targetField = focusField || fields[0]
+        setTimeout(() => {
+            const formElement = this.getFormElement(targetField)
+            if (formElement) {
+                this.focusInput(targetField, formElement)
+            }
+        }, 60)
+    }
+
+    /**
+     * Gruptaki tüm field'ları iptal eder
+     */
+    cancelGroup(groupElement, event) {
+        if (event) {
+            event.preventDefault()
+            event.stopPropagation()
+        }
+
+        this.getGroupFields(groupElement)
+            .filter(fieldElement => this.isActive(fieldElement))
+            .forEach(fieldElement => this.cancel(fieldElement))
+    }
+
+    /**
+     * Gruptaki değişen tüm field'ları tek request ile kaydeder
+     * Body tüm field path'lerini içerir (örn. personel[name]=..&personel[surname]=..).
+     * Request URL'i data-inline-edit-group-url'den, yoksa ilk değişen field'ın URL'inden alınır.
+     * Her değişen field için 'save' emit edilir; herhangi bir listener tüm grup save'ini iptal edebilir.
+     */
+    async saveGroup(groupElement, event) {
+        if (event) {
+            event.preventDefault()
+            event.stopPropagation()
+        }
+
+        const fields = this.getGroupFields(groupElement).filter(fieldElement => this.isActive(fieldElement))
+        if (fields.length === 0 || fields.some(fieldElement => this.hasPendingRequest(fieldElement))) {
+            return
+        }
+
+        // Değişen field'ları topla
+        const saveEvents = []
+        fields.forEach(fieldElement => {
+            const fieldData = this.getFieldData(fieldElement)
+            const formElement = this.getFormElement(fieldElement)
+            if (!formElement) {
+                return
+            }
+
+            const { value, isMultiple, selectedTexts } = this.getInputValue(formElement, fieldElement)
+            const newValueStr = this.normalizeValueForComparison(value)
+            const oldValueStr = this.normalizeValueForComparison(fieldData.originalValue || '')
+            if (newValueStr === oldValueStr) {
+                return
+            }
+
+            saveEvents.push({
+                field: fieldElement,
+                fieldData: fieldData,
+                value: value,
+                displayValue: selectedTexts,
+                isMultiple: isMultiple,
+                formElement: formElement,
+                group: groupElement,
+                preventDefault: false
+            })
+        })
+
+        // Hiçbir değer değişmediyse grubu kapat
+        if (saveEvents.length === 0) {
+            fields.forEach(fieldElement => this.closeEditMode(fieldElement, 'no_change'))
+            return
+        }
+
+        // Client-side validation - tüm değişen field'lar kontrol edilir, biri bile geçersizse request gönderilmez
+        const validationResults = await Promise.all(
+            saveEvents.map(saveEvent => this.validateField(saveEvent.field, saveEvent.formElement, saveEvent.value))
+        )
+        if (validationResults.includes(false) || fields.some(fieldElement => !this.isActive(fieldElement))) {
+            return
+        }
+
+        // Event emit: save (her değişen field için)
+        const validatedValues = saveEvents.map(saveEvent => saveEvent.value)
+        const listenerResults = saveEvents.flatMap(saveEvent => this.emit('save', saveEvent))
+
+        // Loading state
+        fields.forEach(fieldElement => this.setLoadingState(fieldElement, true))
+
+        const firstEvent = saveEvents[0]
+        let shouldSave
+        try {
+            shouldSave = await this.resolveListenerResults(listenerResults)
+        } catch (error) {
+            // Before-save hook'u reject oldu
+            const message = typeof error === 'string' ? error : error?.message
+            this.showError(firstEvent.field, message || this.t('save.error'))
+            fields.forEach(fieldElement => this.setLoadingState(fieldElement, false))
+
+            // Event emit: error
+            this.emit('error', {
+                field: firstEvent.field,
+                fieldData: firstEvent.fieldData,
+                formElement: firstEvent.formElement,
+                error: error,
+                action: 'save',
+                group: groupElement
+            })
+            return
+        }
+
+        // Hook'lar beklenirken grup kapatıldıysa devam etme
+        if (fields.some(fieldElement => !this.isActive(fieldElement))) {
+            fields.filter(fieldElement => this.isActive(fieldElement))
+                .forEach(fieldElement => this.setLoadingState(fieldElement, false))
+            return
+        }
+
+        // Save listener tarafından iptal edildi - edit mode açık kalır
+        if (!shouldSave || saveEvents.some(saveEvent => saveEvent.preventDefault)) {
+            fields.forEach(fieldElement => this.setLoadingState(fieldElement, false))
+            return
+        }
+
+        // Hook'ların değiştirdiği değerler de validate edilir
+        const revalidationResults = await Promise.all(
+            saveEvents.map((saveEvent, index) => this.revalidateChangedValue(saveEvent, validatedValues[index]))
+        )
+        if (revalidationResults.includes(false) || fields.some(fieldElement => !this.isActive(fieldElement))) {
+            fields.filter(fieldElement => this.isActive(fieldElement))
+                .forEach(fieldElement => this.setLoadingState(fieldElement, false))
+            return
+        }
+
+        const url = groupElement.dataset.inlineEditGroupUrl || firstEvent.fieldData.url
+        const entries = saveEvents.map(saveEvent => ({
+            fieldData: saveEvent.fieldData,
+            value: saveEvent.value,
+            isMultiple: saveEvent.isMultiple
+        }))
+
+        try {
+            // Tek request gönder (timeout ve retry ile), cancel herhangi bir field'dan abort edebilir
+            const response = await this.sendWithRetry(
+                signal => {
+                    const request = this.buildBatchRequest(url, entries)
+                    request.signal = signal
+                    return this.dispatchRequest(request, { entries: entries, group: groupElement })
+                },
+                fields.map(fieldElement => this.getFieldData(fieldElement)),
+                { field: firstEvent.field, fieldData: firstEvent.fieldData, formElement: firstEvent.formElement, group: groupElement }
+            )
+
+            await this.handleGroupResponse(groupElement, response, saveEvents, fields)
+        } catch (error) {
+            // Kullanıcı iptal etti - açık kalan field'ların loading state'ini temizle
+            if (error?.name === 'AbortError') {
+                fields.filter(fieldElement => this.isActive(fieldElement))
+                    .forEach(fieldElement => this.setLoadingState(fieldElement, false))
+                return
+            }
+
+            console.error('Group save error:', error)
+            const message = error?.name === 'TimeoutError'
+                ? this.t('save.timeout')
+                : this.t('save.error')
+            this.showError(firstEvent.field, message)
+            fields.forEach(fieldElement => this.setLoadingState(fieldElement, false))
+            this.notify('error', 'error', message, {
+                label: this.t('save.retry'),
+                handler: () => this.saveGroup(groupElement)
+            })
+
+            // Event emit: error
+            this.emit('error', {
+                field: firstEvent.field,
+                fieldData: firstEvent.fieldData,
+                formElement: firstEvent.formElement,
+                error: error,
+                action: 'save',
+                attempt: error?.attempt,
+                willRetry: false,
+                group: groupElement
+            })
+        }
+    }
+
+    /**
+     * Grup save response'unu handle eder
+     * Başarılıysa tüm field'lar güncellenip kapatılır, hata durumunda response'daki errors
+     * ağacından her field'ın hatası getNestedError ile bulunup ilgili field'da gösterilir.
+     * Versiyon çakışmasında (412 / 409) değişen her field'da conflict UI gösterilir; sunucu field bazında
+     * güncel değeri data.fields[fieldPath].currentValue ile dönebilir.
+     */
+    async handleGroupResponse(groupElement, response, saveEvents, fields) {
+        const contentType = response.headers.get('Content-Type')
+        const isJson = contentType && contentType.includes('application/json')
+
+        if (saveEvents.some(saveEvent => this.isConflictResponse(response, saveEvent.fieldData))) {
+            const data = isJson ? await response.json().catch(() => ({})) : {}
+            fields.forEach(fieldElement => this.setLoadingState(fieldElement, false))
+            saveEvents.forEach(saveEvent => {
+                const fieldConflict = {
+                    message: data?.message,
+                    version: data?.version,
+                    ...(data?.fields?.[saveEvent.fieldData.fieldPath] || {})
+                }
+                this.showConflict(saveEvent.field, response, fieldConflict, saveEvent.value, saveEvent.displayValue)
+            })
+            this.notify('error', 'error', data?.message || this.t('conflict.message'))
+            return
+        }
+
+        if (!isJson) {
+            throw new Error('Response JSON değil')
+        }
+
+        const data = await response.json()
+
+        if (response.ok && response.status === 200) {
+            const version = this.getResponseVersion(response, data)
+
+            // Başarılı - sunucunun döndüğü (data.fields[fieldPath]) veya gönderilen verileri ekrana bas
+            // (undo geçmişine field bazında eklenir)
+            saveEvents.forEach(saveEvent => {
+                const display = this.resolveServerDisplay(data, saveEvent.field, saveEvent.value, saveEvent.displayValue, true)
+                saveEvent.value = display.value
+                saveEvent.displayValue = display.displayValue
+                saveEvent.displayHtml = display.displayHtml
+
+                this.updateVersion(saveEvent.field, version)
+                this.recordHistory(saveEvent.field, {
+                    oldValue: saveEvent.fieldData.originalValue,
+                    oldDisplayValue: this.getDisplayText(saveEvent.field),
+                    oldDisplayHtml: this.getDisplayHtml(saveEvent.field),
+                    newValue: display.value,
+                    displayValue: display.displayValue,
+                    displayHtml: display.displayHtml,
+                    isMultiple: saveEvent.isMultiple
+                })
+                this.updateDOM(display.value, saveEvent.field, display.displayValue, display.displayHtml)
+            })
+            fields.forEach(fieldElement => this.closeEditMode(fieldElement, 'saved'))
+
+            // Success notification
+            this.notifySaved(data.message || this.t('save.success'))
+
+            // Event emit: saved (her kaydedilen field için)
+            saveEvents.forEach(saveEvent => {
+                this.emit('saved', {
+                    field: saveEvent.field,
+                    fieldData: saveEvent.fieldData,
+                    formElement: null,
+                    value: saveEvent.value,
+                    displayValue: saveEvent.displayValue,
+                    displayHtml: saveEvent.displayHtml,
+                    response: data,
+                    group: groupElement
+                })
+            })
+            return
+        }
+
+        // Hata durumu - field-specific hataları ilgili field'lara dağıt
+        let firstErrorMessage = null
+        fields.forEach(fieldElement => {
+            this.clearError(fieldElement)
+            this.setLoadingState(fieldElement, false)
+
+            const fieldPath = fieldElement.dataset.inlineEditFieldPath || ''
+            const fieldError = fieldPath && data.errors && typeof data.errors === 'object'
+                ? this.getNestedError(data.errors, fieldPath.split('.'))
+                : null
+
+            if (fieldError) {
+                firstErrorMessage = firstErrorMessage || fieldError
+                this.showError(fieldElement, fieldError)
+
+                // Event emit: error (field-specific hata)
+                this.emit('error', {
+                    field: fieldElement,
+                    fieldData: this.getFieldData(fieldElement),
+                    formElement: this.getFormElement(fieldElement),
+                    error: fieldError,
+                    action: 'save',
+                    response: data,
+                    group: groupElement
+                })
+            }
+        })
+
+        // Field-specific hata yoksa genel hatayı ilk değişen field'da göster
+        if (!firstErrorMessage) {
+            const firstEvent = saveEvents[0]
+            firstErrorMessage = this.extractErrorMessage(data, null)
+            this.showError(firstEvent.field, firstErrorMessage)
+
+            // Event emit: error (genel hata)
+            this.emit('error', {
+                field: firstEvent.field,
+                fieldData: firstEvent.fieldData,
+                formElement: firstEvent.formElement,
+                error: firstErrorMessage,
+                action: 'save',
+                response: data,
+                group: groupElement
+            })
+        }
+
+        // Error notification
+        this.notify('error', 'error', firstErrorMessage)
+    }
+
+    /**
+     * Popover modu için edit mode'u aktif eder
+     */
+    enableEditPopover(fieldElement, config) {
+        const { url, fieldPath, originalValue, inputType, htmlType, placeholder, readMode, editMode = 'popup' } = config
+
+        // Trigger button'u bul
+        const triggerButton = readMode.querySelector('[data-inline-edit-enable]')
+        if (!triggerButton) {
+            console.warn('Popover trigger button not found:', fieldElement)
+            return
+        }
+
+        // Eğer zaten bir popover instance varsa dispose et
+        this.disposePopover(fieldElement)
+
+        // Template element'inden content'i clone'la
+        const contentTemplate = fieldElement.querySelector('[data-inline-edit-content-template]')
+        if (!contentTemplate) {
+            console.warn('Content template not found:', fieldElement)
+            return
+        }
+
+        // Template content'ini clone'la
+        const contentClone = contentTemplate.content.cloneNode(true)
+        
+        // Clone'lanmış tüm elementlere data-real="true" ekle
+        const allElements = contentClone.querySelectorAll('*')
+        allElements.forEach(el => {
+            el.setAttribute('data-real', 'true')
+        })
+        // Clone'lanmış root element'e de ekle
+        if (contentClone.firstElementChild) {
+            contentClone.firstElementChild.setAttribute('data-real', 'true')
+        }
+        
+        const input = contentClone.querySelector('[data-inline-edit-input]')
+        
+        if (input) {
+            if (inputType === 'input' && input.tagName === 'INPUT') {
+                input.type = htmlType
+            }
+            if (placeholder) {
+                input.placeholder = placeholder
+            }
+            
+            // Güncel değeri kullan (dataset'ten al, çünkü updateFieldValue ile güncellenmiş olabilir)
+            const currentValue = fieldElement.dataset.inlineEditValue || originalValue
+            this.setInputValue(input, currentValue, fieldElement)
+        }
+
+        // Clone'lanmış content'i bir div'e koy ve HTML string'ini al
+        const tempDiv = document.createElement('div')
+        tempDiv.appendChild(contentClone)
+        const popoverContentHtml = tempDiv.innerHTML
+
+        // Aktif field'ı kaydet
+        // Güncel değeri kullan
+        const currentValue = fieldElement.dataset.inlineEditValue || originalValue
+        const fieldData = {
+            url,
+            fieldPath,
+            originalValue: currentValue,
+            inputType,
+            htmlType,
+            placeholder,
+            version: fieldElement.dataset.inlineEditVersion || null,
+            editMode: editMode,
+            popoverInstance: null
+        }
+
+        // Popover callback'leri (adapter popover'ın body elementini iletir)
+        const handlePopoverShown = (popoverBody) => {
+            // Popover gösterildiğinde form element'ini focus et ve opened event'ini emit et
+            setTimeout(() => {
+                if (!popoverBody || !this.isActive(fieldElement)) return
+                
+                const formElement = popoverBody.querySelector('[data-inline-edit-input]')
+                if (formElement) {
+                    this.initCombobox(fieldElement, formElement)
+                    this.labelFormElement(fieldElement, formElement)
+                    this.focusInput(fieldElement, formElement)
+                    this.initRemoteOptions(fieldElement, formElement)
+                    this.setExpanded(fieldElement, true)
+                    
+                    // Popover içindeki gerçek form element ile opened event'ini emit et
+                    this.emit('opened', {
+                        field: fieldElement,
+                        fieldData: fieldData,
+                        formElement: formElement
+                    })
+                }
+            }, 100)
+        }
+
+        const handlePopoverHidden = (popoverBody) => {
+            // Popover gizlendiğinde, güncel HTML'i template'e kaydet
+            if (popoverBody && this.isActive(fieldElement)) {
+                // Popover'daki güncel content'i template'e kaydet
+                const contentTemplate = fieldElement.querySelector('[data-inline-edit-content-template]')
+                if (contentTemplate) {
+                    // Popover'daki select elementlerinin selected attribute'larını güncelle
+                    const selectInPopover = popoverBody.querySelector('select[data-inline-edit-input]')
+                    if (selectInPopover) {
+                        Array.from(selectInPopover.options).forEach(option => {
+                            if (option.selected) {
+                                option.setAttribute('selected', 'selected')
+                            } else {
+                                option.removeAttribute('selected')
+                            }
+                        })
+                    }
+                    
+                    // Popover'daki HTML'i al
+                    const popoverHtml = popoverBody.innerHTML
+                    
+                    // Template içeriğini güncelle
+                    // Not: Template element'inin content property'si read-only olduğu için
+                    // innerHTML kullanarak güncelliyoruz (template element'i normal element gibi davranır)
+                    contentTemplate.innerHTML = popoverHtml
+                }
+            }
+            
+            // NOT: Popover instance'ı burada dispose etme
+            // closeEditMode içinde dispose edilecek
+            // Bu şekilde çift dispose önlenir
+        }
+
+        // Popover'ı adapter ile oluştur (Bootstrap, built-in overlay, dialog veya custom)
+        const adapter = this.getPopoverAdapter(editMode)
+        const popoverInstance = adapter.create(triggerButton, {
+            content: popoverContentHtml,
+            title: this.t('dialog.title'),
+            closeLabel: this.t('dialog.close'),
+            editMode: editMode,
+            onShown: handlePopoverShown,
+            onHidden: handlePopoverHidden,
+            // Dialog Esc / backdrop ile kapatılmak istendiğinde normal cancel akışı
+            onDismiss: () => this.cancel(fieldElement)
+        })
+
+        // Popover instance'ı ve adapter'ı field element'ine kaydet
+        fieldElement._popoverInstance = popoverInstance
+        fieldElement._popoverAdapter = adapter
+        fieldData.popoverInstance = popoverInstance
+
+        // Aktif field'ı kaydet ve click outside listener'ını bağla
+        this.setActiveField(fieldElement, fieldData)
+
+        // Error mesajını temizle
+        this.clearError(fieldElement)
+
+        // Popover'ı göster
+        adapter.show(popoverInstance)
+
+        // NOT: opened event'ini burada emit etme, handlePopoverShown içinde emit edilecek
+        // Çünkü popover gösterilmeden önce popover içindeki gerçek element'e erişemeyiz
+
+        // Event emit: clicked (edit butonuna tıklandı)
+        this.emit('clicked', {
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: input // Clone'daki form element (henüz DOM'da değil)
+        })
+    }
+
+    /**
+     * Edit mode'u kapatır ve değişiklikleri kaydeder
+     */
+    async save(fieldElement, event) {
+        if (event) {
+            event.preventDefault()
+            event.stopPropagation()
+        }
+
+        // Edit mode'da olmayan, validation'ı veya save request'i devam eden field'ı kaydetme
+        const fieldData = this.getFieldData(fieldElement)
+        if (!fieldData || fieldData.isValidating || this.hasPendingRequest(fieldElement)) {
+            return
+        }
+
+        const editMode = fieldElement.dataset.inlineEditMode || 'inline'
+        let formElement = null
+
+        // Popover modu için popover içindeki form element'ini bul
+        if (this.isDetachedMode(editMode)) {
+            const popoverElement = this.getPopoverElement(fieldElement)
+            if (!popoverElement) {
+                return
+            }
+            formElement = popoverElement.querySelector('[data-inline-edit-input]')
+            if (!formElement) {
+                return
+            }
+        } else {
+            // Inline modu için mevcut işlem
+            const editModeElement = fieldElement.querySelector('[data-inline-edit-edit-mode]')
+            if (!editModeElement || editModeElement.classList.contains('d-none')) {
+                return
+            }
+            formElement = editModeElement.querySelector('[data-inline-edit-input]')
+            if (!formElement) {
+                return
+            }
+        }
+
+        // Form element değerini al
+        const { value: newValue, isMultiple, selectedTexts } = this.getInputValue(formElement, fieldElement)
+        
+        // Değerleri normalize et ve karşılaştır
+        const newValueStr = this.normalizeValueForComparison(newValue)
+        const oldValueStr = this.normalizeValueForComparison(fieldData.originalValue || '')
+        
+        // Değer değişmediyse sadece edit mode'u kapat
+        if (newValueStr === oldValueStr) {
+            this.closeEditMode(fieldElement, 'no_change')
+            return
+        }
+
+        // Client-side validation - geçersizse request gönderilmez, edit mode açık kalır
+        const isValid = await this.validateField(fieldElement, formElement, newValue)
+        if (!isValid || this.getFieldData(fieldElement) !== fieldData) {
+            return
+        }
+
+        // Event emit: save (save başlamadan önce)
+        // Listener'lar `preventDefault = true` set ederek veya `false` dönerek save'i iptal edebilir,
+        // `value`/`displayValue` değerlerini değiştirebilir ya da Promise dönerek save'i bekletebilir
+        const saveEvent = {
+            field: fieldElement,
+            fieldData: fieldData,
+            value: newValue,
+            displayValue: selectedTexts,
+            isMultiple: isMultiple,
+            formElement: formElement,
+            preventDefault: false
+        }
+        const listenerResults = this.emit('save', saveEvent)
+
+        // Loading state
+        this.setLoadingState(fieldElement, true)
+
+        let shouldSave
+        try {
+            shouldSave = await this.resolveListenerResults(listenerResults)
+        } catch (error) {
+            // Before-save hook'u reject oldu (örn. unique kontrolü başarısız)
+            if (this.getFieldData(fieldElement) === fieldData) {
+                const message = typeof error === 'string' ? error : error?.message
+                this.showError(fieldElement, message || this.t('save.error'))
+                this.setLoadingState(fieldElement, false)
+            }
+
+            // Event emit: error
+            this.emit('error', {
+                field: fieldElement,
+                fieldData: fieldData,
+                formElement: formElement,
+                error: error,
+                action: 'save'
+            })
+            return
+        }
+
+        // Hook'lar beklenirken field kapatıldıysa (cancel, click outside) devam etme
+        if (this.getFieldData(fieldElement) !== fieldData) {
+            return
+        }
+
+        // Save listener tarafından iptal edildi - edit mode açık kalır
+        if (!shouldSave || saveEvent.preventDefault) {
+            this.setLoadingState(fieldElement, false)
+            return
+        }
+
+        // Hook değeri değiştirdiyse yeni değer de validate edilir, geçersizse edit mode açık kalır
+        const isChangedValueValid = await this.revalidateChangedValue(saveEvent, newValue)
+        if (!isChangedValueValid || this.getFieldData(fieldElement) !== fieldData) {
+            return
+        }
+
+        const valueToSave = saveEvent.value
+        const isMultipleToSave = saveEvent.isMultiple
+
+        // Offline mode: bağlantı yoksa veya kuyrukta bekleyen kayıt varsa (sıra korunsun diye) kuyruğa ekle
+        if (this.offline && (navigator.onLine === false || this.getOfflineQueue().length > 0)) {
+            this.queueSave(fieldElement, formElement, valueToSave, isMultipleToSave, saveEvent.displayValue)
+            this.replayOfflineQueue()
+            return
+        }
+
+        // Optimistic mode: edit mode'u hemen kapat, request arka planda gönderilsin
+        if (this.isOptimistic(fieldElement)) {
+            await this.saveOptimistic(fieldElement, formElement, valueToSave, isMultipleToSave, saveEvent.displayValue)
+            return
+        }
+
+        try {
+            // Request gönder (timeout ve retry ile)
+            const response = await this.submitWithRetry(fieldElement, formElement, valueToSave, isMultipleToSave)
+
+            // Response'u handle et (selectedTexts'i de gönder)
+            await this.handleResponse(response, valueToSave, fieldElement, saveEvent.displayValue)
+        } catch (error) {
+            // Kullanıcı cancel/Escape ile iptal etti - field zaten kapatıldı
+            if (error?.name === 'AbortError') {
+                return
+            }
+
+            // Offline mode: network hatasında değişikliği kuyruğa al
+            if (this.offline && this.isNetworkError(error)) {
+                this.queueSave(fieldElement, formElement, valueToSave, isMultipleToSave, saveEvent.displayValue)
+                return
+            }
+
+            console.error('Save error:', error)
+            const message = error?.name === 'TimeoutError'
+                ? this.t('save.timeout')
+                : this.t('save.error')
+            this.showError(fieldElement, message)
+            this.setLoadingState(fieldElement, false)
+            this.notify('error', 'error', message, {
+                label: this.t('save.retry'),
+                handler: () => this.save(fieldElement)
+            })
+
+            // Event emit: error
+            this.emit('error', {
+                field: fieldElement,
+                fieldData: fieldData,
+                formElement: formElement,
+                error: error,
+                action: 'save',
+                attempt: error?.attempt,
+                willRetry: false
+            })
         }
-        this.init()
     }
 
     /**
-     * Event listener ekle
-     * @param {string} eventName - Event adı: 'opened', 'save', 'saved', 'cancel', 'rejected', 'clicked', 'error', 'closed'
-     * @param {Function} callback - Callback fonksiyonu
+     * Save request'ini timeout ve retry (exponential backoff) ile gönderir
+     * Network hataları ve retry.statuses içindeki status kodları (bkz. isRetryableResponse) tekrar denenir,
+     * timeout'lar sadece retry.timeouts açıksa.
+     * Her başarısız deneme 'error' event'i ile (`attempt`, `willRetry: true`) bildirilir.
+     * cancel() pending request'i (ve retry beklemesini) abort eder.
      */
-    on(eventName, callback) {
-        if (this.eventListeners[eventName]) {
-            this.eventListeners[eventName].push(callback)
-        } else {
-            console.warn(`Unknown event: ${eventName}`)
+    async submitWithRetry(fieldElement, formElement, value, isMultiple, fieldData = this.getFieldData(fieldElement)) {
+        return this.sendWithRetry(
+            signal => this.submitPatch(value, isMultiple, signal, fieldData),
+            [fieldData],
+            { field: fieldElement, fieldData: fieldData, formElement: formElement }
+        )
+    }
+
+    /**
+     * Request'i timeout ve retry ile gönderir (tek field ve grup save'leri için ortak)
+     * @param {Function} send - (signal) => Promise<Response>
+     * @param {Array<Object>} states - Pending request'in bağlanacağı field data'ları (abortController set edilir)
+     * @param {Object} eventData - Retry 'error' event'lerine eklenecek data (field, fieldData, formElement)
+     */
+    async sendWithRetry(send, states, eventData = {}) {
+        const saveController = new AbortController()
+        states.forEach(state => {
+            state.abortController = saveController
+        })
+
+        try {
+            for (let attempt = 1; ; attempt++) {
+                // Her deneme için ayrı controller (timeout bu denemeyi abort eder)
+                const attemptController = new AbortController()
+                const abortAttempt = () => attemptController.abort()
+                saveController.signal.addEventListener('abort', abortAttempt)
+
+                let timedOut = false
+                const timer = this.timeout > 0
+                    ? setTimeout(() => {
+                        timedOut = true
+                        attemptController.abort()
+                    }, this.timeout)
+                    : null
+
+                let response = null
+                let error = null
+                try {
+                    response = await send(attemptController.signal)
+                } catch (e) {
+                    error = e
+                } finally {
+                    clearTimeout(timer)
+                    saveController.signal.removeEventListener('abort', abortAttempt)
+                }
+
+                // Kullanıcı iptal etti
+                if (saveController.signal.aborted) {
+                    throw this.createError('AbortError', 'Save request aborted')
+                }
+
+                if (timedOut) {
+                    error = this.createError('TimeoutError', `Request timed out after ${this.timeout}ms`)
+                }
+
+                const isRetryable = error
+                    ? this.isRetryableError(error)
+                    : this.isRetryableResponse(response)
+
+                if (!isRetryable || attempt > this.retry.retries) {
+                    if (error) {
+                        error.attempt = attempt
+                        throw error
+                    }
+                    return response
+                }
+
+                const delay = this.getRetryDelay(attempt, response)
+
+                // Event emit: error (retry edilecek deneme)
+                this.emit('error', {
+                    ...eventData,
+                    error: error || `HTTP ${response.status}`,
+                    action: 'save',
+                    attempt: attempt,
+                    willRetry: true,
+                    retryDelay: delay,
+                    response: response
+                })
+
+                await this.wait(delay, saveController.signal)
+            }
+        } finally {
+            states.forEach(state => {
+                if (state.abortController === saveController) {
+                    state.abortController = null
+                }
+            })
         }
     }
 
     /**
-     * Event listener kaldır
-     * @param {string} eventName - Event adı
-     * @param {Function} callback - Kaldırılacak callback fonksiyonu
+     * Retry öncesi beklenecek süreyi hesaplar (exponential backoff veya Retry-After header'ı)
      */
-    off(eventName, callback) {
-        if (this.eventListeners[eventName]) {
-            const index = this.eventListeners[eventName].indexOf(callback)
-            if (index > -1) {
-                this.eventListeners[eventName].splice(index, 1)
+    getRetryDelay(attempt, response = null) {
+        const backoff = this.retry.delay * Math.pow(2, attempt - 1)
+        let delay = backoff
+
+        const retryAfter = response?.headers?.get('Retry-After')
+        if (retryAfter) {
+            const seconds = Number(retryAfter)
+            if (!Number.isNaN(seconds)) {
+                delay = seconds * 1000
+            } else {
+                // HTTP-date formatı
+                const date = Date.parse(retryAfter)
+                if (!Number.isNaN(date)) {
+                    delay = Math.max(0, date - Date.now())
+                }
             }
         }
+
+        return Math.min(delay, this.retry.maxDelay)
     }
 
     /**
-     * Event emit et
-     * @param {string} eventName - Event adı
-     * @param {Object} data - Event data'sı
+     * Belirtilen süre kadar bekler, signal abort edilirse AbortError ile reject olur
      */
-    emit(eventName, data = {}) {
-        if (this.eventListeners[eventName]) {
-            this.eventListeners[eventName].forEach(callback => {
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer)
+                reject(this.createError('AbortError', 'Save request aborted'))
+            }
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort)
+                resolve()
+            }, ms)
+            signal.addEventListener('abort', onAbort, { once: true })
+        })
+    }
+
+    /**
+     * İsimlendirilmiş Error objesi oluşturur (AbortError, TimeoutError, NetworkError)
+     */
+    createError(name, message) {
+        const error = new Error(message)
+        error.name = name
+        return error
+    }
+
+    /**
+     * Hata network kaynaklı mı? (dispatchRequest'in işaretlediği NetworkError - request sunucuya ulaşmadı)
+     * Timeout bu kapsamda değildir: request sunucuya ulaşıp uygulanmış olabilir, offline kuyruğa da alınmaz.
+     * Custom sender, validator veya event listener'lardan gelen diğer hatalar (TypeError dahil) retry edilmez.
+     */
+    isNetworkError(error) {
+        return error?.name === 'NetworkError'
+    }
+
+    /**
+     * Hata alan deneme tekrar gönderilebilir mi? (network hatası, retry.timeouts açıksa timeout)
+     */
+    isRetryableError(error) {
+        return this.isNetworkError(error) || (error?.name === 'TimeoutError' && !!this.retry.timeouts)
+    }
+
+    /**
+     * Response tekrar denenebilir mi? (retry.statuses; 429 sadece Retry-After header'ı ile)
+     * Retry-After'sız 429'da ne kadar bekleneceği bilinmez, backoff ile sunucuya yüklenilmez.
+     */
+    isRetryableResponse(response) {
+        if (!this.retry.statuses.includes(response.status)) {
+            return false
+        }
+        return response.status !== 429 || !!response.headers?.get('Retry-After')
+    }
+
+    /**
+     * Offline kuyruğu storage'dan okur
+     * @returns {Array<{id: string, url: string, fieldPath: string, version: ?string, value: *, isMultiple: boolean, displayValue: *, queuedAt: number}>}
+     */
+    getOfflineQueue() {
+        if (!this.offline) {
+            return []
+        }
+
+        try {
+            const storage = this.offline.storage || window.localStorage
+            const queue = JSON.parse(storage.getItem(this.offline.storageKey) || '[]')
+            return Array.isArray(queue) ? queue : []
+        } catch (error) {
+            console.warn('Offline queue could not be read:', error)
+            return []
+        }
+    }
+
+    /**
+     * Offline kuyruğu storage'a yazar
+     */
+    setOfflineQueue(queue) {
+        try {
+            const storage = this.offline.storage || window.localStorage
+            storage.setItem(this.offline.storageKey, JSON.stringify(queue))
+        } catch (error) {
+            console.warn('Offline queue could not be saved:', error)
+        }
+    }
+
+    /**
+     * Değişikliği offline kuyruğa ekler, DOM'u optimistic olarak günceller ve edit mode'u kapatır
+     * Sunucu kaydı reddederse DOM'un geri döneceği değer ve görünüm entry'de saklanır (previousValue, previousDisplayHtml).
+     * @param {Object|null} previous - DOM zaten güncellenmişse (optimistic save) önceki {value, displayHtml}
+     */
+    queueSave(fieldElement, formElement, value, isMultiple, displayValue = null, fieldData = this.getFieldData(fieldElement), previous = null) {
+        const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            url: fieldData.url,
+            fieldPath: fieldData.fieldPath,
+            version: fieldData.version || null,
+            value: value,
+            isMultiple: isMultiple,
+            displayValue: displayValue,
+            previousValue: previous ? previous.value : this.getCommittedValue(fieldElement),
+            previousDisplayHtml: previous ? previous.displayHtml : (editable ? editable.innerHTML : null),
+            attempts: 0,
+            queuedAt: Date.now()
+        }
+
+        this.setOfflineQueue([...this.getOfflineQueue(), entry])
+
+        this.updateDOM(value, fieldElement, displayValue)
+        if (this.isActive(fieldElement)) {
+            this.closeEditMode(fieldElement, 'queued')
+        }
+
+        // Event emit: queued (değişiklik kuyruğa alındı)
+        this.emit('queued', {
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: formElement,
+            value: value,
+            displayValue: displayValue,
+            entry: entry
+        })
+    }
+
+    /**
+     * Kuyruktaki değişiklikleri sayfadaki field'lara uygular (sayfa yeniden yüklendiğinde)
+     */
+    applyOfflineQueueToDOM() {
+        this.getOfflineQueue().forEach(entry => {
+            const fieldElement = this.findFieldElement(entry.url, entry.fieldPath)
+            if (fieldElement) {
+                this.updateDOM(entry.value, fieldElement, entry.displayValue)
+            }
+        })
+    }
+
+    /**
+     * Kuyruktaki değişiklikleri sırayla sunucuya gönderir
+     * - Başarılı kayıtlar kuyruktan çıkarılır ve 'replayed' emit edilir
+     * - Network hatasında replay durur (bir sonraki 'online' event'inde devam eder)
+     * - Geçici HTTP hataları (bkz. isRetryableResponse) ve retry.timeouts açıksa timeout'lar retry ayarlarına göre
+     *   backoff ile tekrar denenir, deneme hakkı bitince kayıt reddedilmiş sayılır (sonraki kayıtları bekletmez)
+     * - Reddedilen kayıtlar (409, 412, validation vb.) kuyruktan çıkarılır, DOM kuyruğa alınmadan önceki
+     *   değere geri döner ve 'conflict' emit edilir
+     */
+    async replayOfflineQueue() {
+        if (!this.offline || this.isReplayingQueue) {
+            return
+        }
+
+        this.isReplayingQueue = true
+
+        try {
+            let queue = this.getOfflineQueue()
+
+            while (queue.length > 0) {
+                const entry = queue[0]
+                const fieldElement = this.findFieldElement(entry.url, entry.fieldPath)
+
+                const controller = new AbortController()
+                let timedOut = false
+                const timer = this.timeout > 0
+                    ? setTimeout(() => {
+                        timedOut = true
+                        controller.abort()
+                    }, this.timeout)
+                    : null
+
+                let response = null
+                let error = null
                 try {
-                    callback({
-                        ...data,
-                        field: data.field || this.activeField,
-                        fieldData: data.fieldData || this.activeFieldData
+                    response = await this.sendRequest(
+                        {
+                            url: entry.url,
+                            fieldPath: entry.fieldPath,
+                            // Önceki replay'ler versiyonu güncellemiş olabilir, sayfadaki güncel değeri tercih et
+                            version: fieldElement?.dataset.inlineEditVersion || entry.version || null
+                        },
+                        entry.value,
+                        entry.isMultiple,
+                        controller.signal
+                    )
+                } catch (e) {
+                    error = timedOut ? this.createError('TimeoutError', `Request timed out after ${this.timeout}ms`) : e
+                } finally {
+                    clearTimeout(timer)
+                }
+
+                // Hâlâ offline - bir sonraki 'online' event'inde tekrar denenecek
+                if (error?.name === 'NetworkError') {
+                    break
+                }
+
+                // Geçici hata: deneme hakkı varsa bekleyip aynı kaydı tekrar gönder
+                if (error ? this.isRetryableError(error) : this.isRetryableResponse(response)) {
+                    const attempts = (entry.attempts || 0) + 1
+                    if (attempts <= this.retry.retries) {
+                        this.setOfflineQueue(this.getOfflineQueue().map(item => item.id === entry.id ? { ...item, attempts } : item))
+                        await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(attempts, response)))
+                        queue = this.getOfflineQueue()
+                        continue
+                    }
+                }
+
+                const contentType = response?.headers.get('Content-Type')
+                const data = contentType && contentType.includes('application/json')
+                    ? await response.json().catch(() => null)
+                    : null
+
+                this.setOfflineQueue(this.getOfflineQueue().filter(item => item.id !== entry.id))
+
+                if (response?.ok) {
+                    this.updateVersion(fieldElement, this.getResponseVersion(response, data))
+
+                    // Event emit: replayed (kuyruktaki değişiklik kaydedildi)
+                    this.emit('replayed', {
+                        field: fieldElement,
+                        fieldData: null,
+                        entry: entry,
+                        response: data
+                    })
+                } else {
+                    let errorMessage = data ? this.extractErrorMessage(data, fieldElement) : null
+                    if (!errorMessage) {
+                        errorMessage = response
+                            ? `HTTP ${response.status}`
+                            : this.t(error.name === 'TimeoutError' ? 'save.timeout' : 'save.error')
+                    }
+
+                    this.rollbackQueuedEntry(entry, fieldElement)
+                    this.notify('conflict', 'error', errorMessage)
+
+                    // Event emit: conflict (kuyruktaki değişiklik sunucu tarafından reddedildi)
+                    this.emit('conflict', {
+                        type: 'offline',
+                        field: fieldElement,
+                        fieldData: null,
+                        entry: entry,
+                        status: response ? response.status : null,
+                        error: errorMessage,
+                        response: data
                     })
-                } catch (error) {
-                    console.error(`Error in event listener for ${eventName}:`, error)
                 }
+
+                queue = this.getOfflineQueue()
+            }
+        } finally {
+            this.isReplayingQueue = false
+        }
+    }
+
+    /**
+     * Reddedilen kuyruk kaydının optimistic değişikliğini geri alır (kayıt kuyruktan çıkarıldıktan sonra çağrılır)
+     * Aynı field için kuyrukta sonraki bir kayıt varsa DOM o kaydın değerini göstermeye devam eder,
+     * geri dönülecek değer o kayda aktarılır.
+     */
+    rollbackQueuedEntry(entry, fieldElement) {
+        const queue = this.getOfflineQueue()
+        const next = queue.find(item => item.url === entry.url && item.fieldPath === entry.fieldPath)
+        if (next) {
+            this.setOfflineQueue(queue.map(item => item === next
+                ? { ...item, previousValue: entry.previousValue, previousDisplayHtml: entry.previousDisplayHtml }
+                : item))
+            return
+        }
+
+        if (fieldElement && entry.previousValue !== undefined) {
+            this.updateDOM(entry.previousValue, fieldElement, null, entry.previousDisplayHtml ?? null)
+        }
+    }
+
+    /**
+     * URL ve field path'e göre sayfadaki field container'ı bulur
+     */
+    findFieldElement(url, fieldPath) {
+        const fields = document.querySelectorAll('[data-inline-edit-manager="true"]')
+        return Array.from(fields).find(field =>
+            field.dataset.inlineEditUrl === url && (field.dataset.inlineEditFieldPath || '') === fieldPath
+        ) || null
+    }
+
+    /**
+     * Field için devam eden bir save request'i var mı?
+     */
+    hasPendingRequest(fieldElement) {
+        return !!this.getFieldData(fieldElement)?.abortController
+    }
+
+    /**
+     * Field'ın devam eden save request'ini iptal eder
+     */
+    abortPendingRequest(fieldElement) {
+        if (this.hasPendingRequest(fieldElement)) {
+            const fieldData = this.getFieldData(fieldElement)
+            fieldData.abortController.abort()
+            fieldData.abortController = null
+        }
+    }
+
+    /**
+     * Field optimistic mode'da mı? (data-inline-edit-optimistic global ayarı override eder)
+     */
+    isOptimistic(fieldElement) {
+        const fieldSetting = fieldElement.dataset.inlineEditOptimistic
+        if (fieldSetting !== undefined) {
+            return fieldSetting !== 'false'
+        }
+        return !!this.options.optimistic
+    }
+
+    /**
+     * Optimistic save: yeni değeri hemen gösterir ve edit mode'u kapatır, request'i arka planda gönderir.
+     * Hata durumunda read view ve data-inline-edit-value eski değere geri döner, field sunucu hatasıyla tekrar açılır.
+     * Aynı field'ın önceki optimistic request'i devam ediyorsa request onun bitmesini bekler (sıra ve versiyon korunur).
+     */
+    async saveOptimistic(fieldElement, formElement, value, isMultiple, displayValue = null) {
+        const fieldData = { ...this.getFieldData(fieldElement) }
+        const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+        const previousHtml = editable ? editable.innerHTML : null
+        const previousDisplayValue = this.getDisplayText(fieldElement)
+
+        // Hata durumunda geri dönülecek değer; sonraki bir optimistic save varsa ona devredilir
+        const pendingSaves = this.optimisticSaves.get(fieldElement) || []
+        this.optimisticSaves.set(fieldElement, pendingSaves)
+        const previousSave = pendingSaves[pendingSaves.length - 1] || null
+        let finish
+        const state = {
+            rollback: { value: this.getCommittedValue(fieldElement), displayHtml: previousHtml },
+            done: new Promise(resolve => {
+                finish = resolve
+            })
+        }
+        pendingSaves.push(state)
+
+        // Yeni değeri hemen göster (data attribute ve template dahil, tekrar açılırsa yeni değerle açılsın) ve edit mode'u kapat
+        const optimisticDisplayValue = displayValue !== null
+            ? displayValue
+            : this.formatDisplayValue(value, fieldData.htmlType, fieldElement)
+        this.updateDOM(value, fieldElement, optimisticDisplayValue)
+        this.closeEditMode(fieldElement, 'saved')
+
+        try {
+            await this.submitOptimistic(fieldElement, value, isMultiple, displayValue, fieldData, {
+                state,
+                previousSave,
+                pendingSaves,
+                previousHtml,
+                previousDisplayValue
             })
+        } finally {
+            pendingSaves.splice(pendingSaves.indexOf(state), 1)
+            finish()
         }
     }
 
-    init() {
-        // Eğer zaten init edildiyse tekrar init etme
-        if (this.isInitialized) {
+    /**
+     * saveOptimistic'in request, başarı ve rollback kısmı
+     */
+    async submitOptimistic(fieldElement, value, isMultiple, displayValue, fieldData, { state, previousSave, pendingSaves, previousHtml, previousDisplayValue }) {
+        let errorMessage
+        let error
+        let data = null
+        let response = null
+        let isConflict = false
+        try {
+            if (previousSave) {
+                await previousSave.done
+                fieldData.version = fieldElement.dataset.inlineEditVersion || fieldData.version
+            }
+
+            response = await this.submitWithRetry(fieldElement, null, value, isMultiple, fieldData)
+
+            const contentType = response.headers.get('Content-Type')
+            const isJson = contentType && contentType.includes('application/json')
+
+            if (this.isConflictResponse(response, fieldData)) {
+                data = isJson ? await response.json().catch(() => ({})) : {}
+                isConflict = true
+                throw new Error('Version conflict')
+            }
+
+            if (!isJson) {
+                throw new Error('Response JSON değil')
+            }
+            data = await response.json()
+
+            if (response.ok && response.status === 200) {
+                // Başarılı - versiyon, data attribute ve template'i de güncelle
+                // (sunucu display döndüyse optimistic görünümün yerine geçer)
+                const display = this.resolveServerDisplay(data, fieldElement, value, displayValue)
+                this.updateVersion(fieldElement, this.getResponseVersion(response, data))
+                this.recordHistory(fieldElement, {
+                    oldValue: fieldData.originalValue,
+                    oldDisplayValue: previousDisplayValue,
+                    oldDisplayHtml: previousHtml,
+                    newValue: display.value,
+                    displayValue: display.displayValue,
+                    displayHtml: display.displayHtml,
+                    isMultiple: isMultiple
+                })
+                // Sonraki optimistic save'in gösterdiği değerin üzerine yazma
+                if (pendingSaves[pendingSaves.length - 1] === state) {
+                    this.updateDOM(display.value, fieldElement, display.displayValue, display.displayHtml)
+                }
+
+                this.notifySaved(data.message || this.t('save.success'))
+
+                // Event emit: saved (save başarılı)
+                this.emit('saved', {
+                    field: fieldElement,
+                    fieldData: fieldData,
+                    formElement: null,
+                    value: display.value,
+                    displayValue: display.displayValue,
+                    displayHtml: display.displayHtml,
+                    response: data
+                })
+                return
+            }
+
+            errorMessage = this.extractErrorMessage(data, fieldElement)
+            error = errorMessage
+        } catch (e) {
+            // Offline mode: network hatasında değişikliği kuyruğa al (DOM zaten güncel)
+            if (!isConflict && this.offline && this.isNetworkError(e)) {
+                this.queueSave(fieldElement, null, value, isMultiple, displayValue, fieldData, {
+                    value: state.rollback.value,
+                    displayHtml: state.rollback.displayHtml
+                })
+                return
+            }
+
+            console.error('Save error:', e)
+            error = e
+            errorMessage = e?.name === 'TimeoutError'
+                ? this.t('save.timeout')
+                : this.t('save.error')
+        }
+
+        const errorEvent = {
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: null,
+            error: error,
+            action: 'save',
+            attempt: error?.attempt,
+            rolledBack: true,
+            response: data
+        }
+
+        // Sonraki optimistic save DOM'u zaten güncelledi: geri dönülecek değeri ona devret, sadece hatayı bildir
+        const nextSave = pendingSaves[pendingSaves.indexOf(state) + 1]
+        if (nextSave) {
+            nextSave.rollback = state.rollback
+            this.notify('error', 'error', errorMessage)
+            this.emit('error', { ...errorEvent, rolledBack: false })
+            return
+        }
+
+        // Rollback: read view, data attribute ve template eski değere döner
+        this.updateDOM(state.rollback.value, fieldElement, null, state.rollback.displayHtml)
+
+        // Kullanıcı bu arada başka bir field'ı düzenliyorsa onu kapatma; field bildirimdeki aksiyonla açılır
+        if (!this.canReopen(fieldElement)) {
+            this.notify('error', 'error', errorMessage, {
+                label: this.t('save.reopen'),
+                handler: () => this.reopenWithValue(fieldElement, value, isConflict ? null : errorMessage)
+            })
+            this.emit('error', errorEvent)
+            return
+        }
+
+        // Field'ı gönderilmeye çalışılan değerle tekrar aç ve hatayı göster
+        const reopenedFormElement = this.reopenWithValue(fieldElement, value)
+
+        // Versiyon çakışması - hata yerine conflict UI göster
+        if (isConflict) {
+            this.showConflict(fieldElement, response, data, value, displayValue)
+            return
+        }
+
+        this.showError(fieldElement, errorMessage)
+
+        // Request hatalarında (network, timeout) tekrar denenebilir, sunucunun reddettiği değerde değil
+        this.notify('error', 'error', errorMessage, error instanceof Error
+            ? { label: this.t('save.retry'), handler: () => this.save(fieldElement) }
+            : null)
+
+        // Event emit: error (optimistic save hatası, rollback yapıldı)
+        this.emit('error', { ...errorEvent, formElement: reopenedFormElement })
+    }
+
+    /**
+     * Field, başka açık field'ları kapatmadan edit mode'a alınabilir mi?
+     * (allowMultiple yoksa veya field'lardan biri popup/modal/offcanvas ise açık field varken açılamaz)
+     */
+    canReopen(fieldElement) {
+        const editMode = fieldElement.dataset.inlineEditMode || 'inline'
+        return this.getActiveFields().every(activeField => activeField === fieldElement || (
+            this.allowMultiple
+            && !this.isDetachedMode(editMode)
+            && !this.isDetachedMode(this.getFieldData(activeField).editMode)
+        ))
+    }
+
+    /**
+     * Field'ı verilen değerle edit mode'a alır (rollback sonrası), errorMessage verilirse hatayı gösterir
+     * @returns {HTMLElement|null} Form element'i
+     */
+    reopenWithValue(fieldElement, value, errorMessage = null) {
+        this.enableEdit(fieldElement)
+        const formElement = this.getFormElement(fieldElement)
+        if (formElement) {
+            this.setInputValue(formElement, value, fieldElement)
+        }
+        if (errorMessage) {
+            this.showError(fieldElement, errorMessage)
+        }
+        return formElement
+    }
+
+    /**
+     * Response bir versiyon çakışması mı? (412 her zaman, 409 field'ın versiyonu varsa)
+     */
+    isConflictResponse(response, fieldData) {
+        return response.status === 412 || (response.status === 409 && !!fieldData?.version)
+    }
+
+    /**
+     * Response'dan yeni versiyon token'ını okur (ETag header'ı veya JSON'daki version)
+     */
+    getResponseVersion(response, data) {
+        const etag = response?.headers?.get('ETag')
+        if (etag) {
+            return etag
+        }
+        if (data && data.version !== undefined && data.version !== null) {
+            return String(data.version)
+        }
+        return null
+    }
+
+    /**
+     * Versiyon token'ını günceller (aynı URL'i kullanan tüm field'lar aynı kaydı temsil eder)
+     */
+    updateVersion(fieldElement, version) {
+        if (!version) {
             return
         }
 
-        this.isInitialized = true
-
-        // Event delegation - tek listener tüm click'leri yakalar
-        this.boundHandleClick = (e) => {
-            // Sadece data-inline-edit-manager="true" olan field'ları işle
-            const field = e.target.closest('[data-inline-edit-manager="true"]')
-            
-            // Enable edit butonuna tıklama (öncelikli kontrol)
-            if (e.target.matches('[data-inline-edit-enable]') || e.target.closest('[data-inline-edit-enable]')) {
-                if (field) {
-                    this.enableEdit(field, e)
-                }
-                return
-            }
-
-            // Read mode içine tıklama (editable area veya read mode container)
-            if (field) {
-                const readMode = field.querySelector('[data-inline-edit-read-mode]')
-                if (readMode && readMode.contains(e.target)) {
-                    // Edit mode açık değilse enable edit yap
-                    const editMode = field.querySelector('[data-inline-edit-edit-mode]')
-                    if (editMode && editMode.classList.contains('d-none')) {
-                        this.enableEdit(field, e)
-                    }
-                    return
-                }
-            }
-
-            // Save butonuna tıklama
-            if (e.target.matches('[data-inline-edit-save]') || e.target.closest('[data-inline-edit-save]')) {
-                // Popover içindeki butonlar için aktif field'ı kullan
-                const targetField = field || this.activeField
-                if (targetField) {
-                    this.save(targetField, e)
-                }
-                return
+        const url = fieldElement?.dataset.inlineEditUrl
+        document.querySelectorAll('[data-inline-edit-manager="true"]').forEach(field => {
+            if (field === fieldElement || (url && field.dataset.inlineEditUrl === url)) {
+                field.dataset.inlineEditVersion = version
             }
+        })
 
-            // Cancel butonuna tıklama
-            if (e.target.matches('[data-inline-edit-cancel]') || e.target.closest('[data-inline-edit-cancel]')) {
-                // Popover içindeki butonlar için aktif field'ı kullan
-                const targetField = field || this.activeField
-                if (targetField) {
-                    this.cancel(targetField, e)
-                }
-                return
+        this.activeFields.forEach((fieldData, activeField) => {
+            if (activeField === fieldElement || (url && activeField.dataset.inlineEditUrl === url)) {
+                fieldData.version = version
             }
+        })
+    }
 
-            // Click outside - aktif field varsa ve dışına tıklandıysa cancel yap
-            if (this.activeField && !this.activeField.contains(e.target)) {
-                const fieldEditMode = this.activeField.dataset.inlineEditMode || 'inline'
-                
-                // Popover modu için popover element'ini de kontrol et
-                if (fieldEditMode === 'popup') {
-                    const popoverElement = document.querySelector('.popover')
-                    const triggerBtn = this.activeField.querySelector('[data-inline-edit-enable]')
-                    
-                    // Popover içine veya trigger button'a tıklanmadıysa cancel yap
-                    if (popoverElement && !popoverElement.contains(e.target) && 
-                        triggerBtn && !triggerBtn.contains(e.target)) {
-                        this.cancel(this.activeField)
-                    }
-                } else {
-                    // Inline modu için mevcut kontrol
-                    const editMode = this.activeField.querySelector('[data-inline-edit-edit-mode]')
-                    if (editMode && !editMode.contains(e.target)) {
-                        this.cancel(this.activeField)
-                    }
-                }
-            }
+    /**
+     * Versiyon çakışması için "sizin değeriniz / sunucudaki değer" UI'ını gösterir ve 'conflict' emit eder
+     * Server response'u opsiyonel olarak currentValue, currentDisplayValue ve version içerebilir.
+     */
+    showConflict(fieldElement, response, data, yourValue, yourDisplayValue = null) {
+        const serverVersion = this.getResponseVersion(response, data)
+        const serverValue = data?.currentValue !== undefined ? data.currentValue : null
+        const serverDisplayValue = data?.currentDisplayValue !== undefined
+            ? data.currentDisplayValue
+            : (serverValue !== null ? this.formatDisplayValue(serverValue, fieldElement.dataset.inlineEditHtmlType || 'text', fieldElement) : null)
+
+        const conflict = {
+            yourValue,
+            yourDisplayValue,
+            serverValue,
+            serverDisplayValue,
+            serverVersion,
+            status: response.status
         }
 
-        // Click event listener'ı ekle
-        document.addEventListener('click', this.boundHandleClick)
+        const fieldData = this.getFieldData(fieldElement)
+        if (fieldData) {
+            fieldData.conflict = conflict
+        }
 
-        // Keyboard shortcuts - tek listener
-        this.boundHandleKeydown = (e) => {
-            if (!this.activeField) return
+        // Error element'inin hemen arkasına conflict UI'ını ekle
+        const editMode = fieldElement.dataset.inlineEditMode || 'inline'
+        const container = this.isDetachedMode(editMode) ? this.getPopoverElement(fieldElement) : fieldElement
+        const errorElement = container?.querySelector('[data-inline-edit-error]')
+        if (errorElement) {
+            container.querySelector('[data-inline-edit-conflict]')?.remove()
+            errorElement.insertAdjacentElement('afterend', this.buildConflictElement(conflict, data?.message))
+        }
 
-            const input = this.activeField.querySelector('[data-inline-edit-input]')
-            if (!input || document.activeElement !== input) {
-                return
-            }
+        const formElement = this.getFormElement(fieldElement)
 
-            // Enter = Save
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault()
-                this.save(this.activeField)
-                return
-            }
+        // Event emit: conflict (versiyon çakışması)
+        this.emit('conflict', {
+            type: 'version',
+            field: fieldElement,
+            fieldData: fieldData,
+            formElement: formElement,
+            status: response.status,
+            yourValue: yourValue,
+            serverValue: serverValue,
+            serverDisplayValue: serverDisplayValue,
+            serverVersion: serverVersion,
+            response: data
+        })
+    }
 
-            // Escape = Cancel
-            if (e.key === 'Escape') {
-                e.preventDefault()
-                this.cancel(this.activeField)
-                return
+    /**
+     * Conflict UI element'ini oluşturur
+     */
+    buildConflictElement(conflict, message = null) {
+        const toText = (value) => {
+            if (Array.isArray(value)) {
+                return value.join(', ')
             }
+            return value !== null && value !== undefined && value !== '' ? String(value) : '-'
         }
 
-        // Keydown event listener'ı ekle
-        document.addEventListener('keydown', this.boundHandleKeydown)
+        const wrapper = document.createElement('div')
+        wrapper.className = 'inline-edit-conflict alert alert-warning small p-2 mt-2 mb-0'
+        wrapper.setAttribute('data-inline-edit-conflict', '')
+
+        const title = document.createElement('div')
+        title.className = 'fw-semibold mb-1'
+        title.textContent = message || this.t('conflict.message')
+        wrapper.appendChild(title)
+
+        const rows = [
+            [this.t('conflict.yours'), conflict.yourDisplayValue ?? conflict.yourValue, 'data-inline-edit-conflict-mine'],
+            [this.t('conflict.theirs'), conflict.serverDisplayValue ?? conflict.serverValue, 'data-inline-edit-conflict-theirs']
+        ]
+        rows.forEach(([label, value, attribute]) => {
+            const row = document.createElement('div')
+            row.textContent = `${label}: `
+            const strong = document.createElement('strong')
+            strong.setAttribute(attribute, '')
+            strong.textContent = toText(value)
+            row.appendChild(strong)
+            wrapper.appendChild(row)
+        })
+
+        const actions = document.createElement('div')
+        actions.className = 'd-flex gap-1 mt-2'
+        actions.innerHTML = `
+            <button type="button" class="btn btn-warning btn-sm" data-inline-edit-conflict-keep-mine></button>
+            <button type="button" class="btn btn-outline-secondary btn-sm" data-inline-edit-conflict-take-theirs></button>
+        `
+        actions.querySelector('[data-inline-edit-conflict-keep-mine]').textContent = this.t('conflict.keepMine')
+        actions.querySelector('[data-inline-edit-conflict-take-theirs]').textContent = this.t('conflict.takeTheirs')
+        wrapper.appendChild(actions)
+
+        return wrapper
     }
 
     /**
-     * Cleanup - event listener'ları kaldır
+     * Versiyon çakışmasını çözer (grup save'inde grubun çakışan tüm field'ları birlikte çözülür)
+     * - 'mine': Sunucudaki yeni versiyonla kendi değerini tekrar kaydeder. Çakışma response'u versiyon
+     *   içermiyorsa (ETag / version) kullanıcı üzerine yazmayı açıkça seçtiği için değer versiyonsuz
+     *   (If-Match / version alanı olmadan) gönderilir; aksi halde aynı eski versiyonla sürekli çakışırdı.
+     * - 'theirs': Sunucudaki değeri gösterir ve edit mode'u (grupta tüm grubu) kapatır
      */
-    destroy() {
-        if (this.boundHandleClick) {
-            document.removeEventListener('click', this.boundHandleClick)
-            this.boundHandleClick = null
-        }
-        
-        if (this.boundHandleKeydown) {
-            document.removeEventListener('keydown', this.boundHandleKeydown)
-            this.boundHandleKeydown = null
+    async resolveConflict(fieldElement, choice) {
+        if (!this.getFieldData(fieldElement)?.conflict) {
+            return
         }
 
-        if (this.boundHandleClickOutside) {
-            document.removeEventListener('click', this.boundHandleClickOutside, true)
-            this.boundHandleClickOutside = null
+        const groupElement = this.getGroupElement(fieldElement)
+        const conflictFields = groupElement
+            ? this.getGroupFields(groupElement).filter(field => this.getFieldData(field)?.conflict)
+            : [fieldElement]
+
+        const conflicts = conflictFields.map(field => {
+            const fieldData = this.getFieldData(field)
+            const conflict = fieldData.conflict
+            fieldData.conflict = null
+            this.updateVersion(field, conflict.serverVersion)
+            this.clearError(field)
+
+            if (choice === 'mine') {
+                if (!conflict.serverVersion) {
+                    fieldData.version = null
+                }
+                const formElement = this.getFormElement(field)
+                if (formElement) {
+                    this.setInputValue(formElement, conflict.yourValue, field)
+                }
+            }
+            return { field, conflict }
+        })
+
+        if (choice === 'mine') {
+            await (groupElement ? this.saveGroup(groupElement) : this.save(fieldElement))
+            return
         }
 
-        this.isInitialized = false
+        // Sunucudaki değeri al (response'da değer yoksa sadece edit mode kapanır)
+        conflicts.forEach(({ field, conflict }) => {
+            if (conflict.serverValue !== null) {
+                this.updateDOM(conflict.serverValue, field, conflict.serverDisplayValue)
+            }
+        })
+        const closingFields = groupElement
+            ? this.getGroupFields(groupElement).filter(field => this.isActive(field))
+            : [fieldElement]
+        closingFields.forEach(field => this.closeEditMode(field, 'conflict_resolved'))
     }
 
     /**
-     * Bundle'ın açtığı tüm açık popover'ları kapatır
+     * Custom field type kaydeder (rich text, tag input, color picker, star rating gibi editor'ler için)
+     * Field'ın data-inline-edit-input-type değeri type adıyla eşleşirse hook'lar kullanılır.
+     * Verilmeyen hook'lar için varsayılan input/select davranışı geçerlidir.
+     * Hook'lar `context` olarak {field, type, manager} alır.
+     * @param {string} name - Type adı (data-inline-edit-input-type)
+     * @param {Object} definition - Type hook'ları
+     * @param {Function} definition.getValue - (input, context) => value
+     * @param {Function} definition.setValue - (input, value, context) => void
+     * @param {Function} definition.format - (value, context) => read mode'da gösterilecek metin
+     * @param {Function} definition.focus - (input, context) => void, edit mode açıldığında
+     * @param {Function} definition.destroy - (input, context) => void, edit mode kapanmadan önce
+     * @param {boolean} definition.html - format() güvenilir HTML döner (read mode innerHTML ile güncellenir)
      */
-    closeAllOpenPopovers() {
-        // Tüm inline-edit-field elementlerini bul
-        const allFields = document.querySelectorAll('[data-inline-edit-manager="true"]')
-        
-        allFields.forEach(field => {
-            // Sadece popover modunda olan field'ları kontrol et
-            const editMode = field.dataset.inlineEditMode || 'inline'
-            if (editMode !== 'popup') return
-            
-            // Popover instance'ı varsa kapat
-            if (field._popoverInstance) {
-                try {
-                    const triggerButton = field.querySelector('[data-inline-edit-enable]')
-                    if (triggerButton) {
-                        const instance = bootstrap.Popover.getInstance(triggerButton)
-                        if (instance === field._popoverInstance) {
-                            // Popover'ı hide et ve dispose et
-                            instance.hide()
-                            instance.dispose()
-                        }
-                    }
-                } catch (error) {
-                    console.warn('Error disposing popover instance:', error)
-                } finally {
-                    field._popoverInstance = null
-                }
-            }
-        })
+    static registerType(name, definition) {
+        if (!name || !definition || typeof definition !== 'object') {
+            throw new TypeError('registerType requires a name and a definition object')
+        }
+        FIELD_TYPES.set(name, definition)
     }
 
     /**
-     * Edit mode'u aktif eder
+     * Field'ın kayıtlı custom type'ını döner (yoksa null)
      */
-    enableEdit(fieldElement, event) {
-        if (event) {
-            event.preventDefault()
-            event.stopPropagation()
+    getFieldType(fieldElement) {
+        const typeName = fieldElement?.dataset?.inlineEditInputType
+        return typeName ? FIELD_TYPES.get(typeName) || null : null
+    }
+
+    /**
+     * Field type hook'larına iletilen context
+     */
+    getTypeContext(fieldElement) {
+        return {
+            field: fieldElement,
+            type: fieldElement.dataset.inlineEditInputType,
+            manager: this
         }
+    }
 
-        // Bundle'ın açtığı tüm açık popover'ları kapat (ekran dışında kalanlar dahil)
-        this.closeAllOpenPopovers()
+    /**
+     * Form element'ini focus eder (custom type'ın focus hook'u veya varsayılan focus + select)
+     * @param {boolean} selectText - Text input'larda içeriği seç
+     */
+    focusInput(fieldElement, formElement, selectText = true) {
+        const fieldType = this.getFieldType(fieldElement)
+        if (fieldType?.focus) {
+            fieldType.focus(formElement, this.getTypeContext(fieldElement))
+            return
+        }
 
-        // Eğer başka bir field edit mode'daysa önce onu kapat
-        if (this.activeField && this.activeField !== fieldElement) {
-            this.cancel(this.activeField)
+        const combobox = this.comboboxes.get(formElement)
+        if (combobox) {
+            combobox.input.focus()
+            return
         }
 
-        // Data attribute'lardan bilgileri oku
-        const url = fieldElement.dataset.inlineEditUrl
-        const fieldPath = fieldElement.dataset.inlineEditFieldPath || ''
-        const originalValue = fieldElement.dataset.inlineEditValue || ''
+        formElement.focus()
         const inputType = fieldElement.dataset.inlineEditInputType || 'input'
-        const htmlType = fieldElement.dataset.inlineEditHtmlType || 'text'
-        const placeholder = fieldElement.dataset.inlineEditPlaceholder || ''
-        const editMode = fieldElement.dataset.inlineEditMode || 'inline'
-
-        // Read mode'u bul
-        const readMode = fieldElement.querySelector('[data-inline-edit-read-mode]')
-        
-        if (!readMode) {
-            console.warn('Inline edit field structure invalid:', fieldElement)
-            return
+        if (selectText && inputType === 'input' && formElement.tagName === 'INPUT') {
+            formElement.select()
         }
+    }
 
-        // Popover modu için özel işlem
-        if (editMode === 'popup') {
-            return this.enableEditPopover(fieldElement, {
-                url,
-                fieldPath,
-                originalValue,
-                inputType,
-                htmlType,
-                placeholder,
-                readMode
-            })
+    /**
+     * Field'ın açık edit mode'undaki form element'ini bulur (inline veya popover)
+     */
+    getFormElement(fieldElement) {
+        const editMode = fieldElement.dataset.inlineEditMode || 'inline'
+
+        if (this.isDetachedMode(editMode)) {
+            const popoverElement = this.getPopoverElement(fieldElement)
+            return popoverElement ? popoverElement.querySelector('[data-inline-edit-input]') : null
         }
 
-        // Inline modu için edit mode'u bul
         const editModeElement = fieldElement.querySelector('[data-inline-edit-edit-mode]')
-        if (!editModeElement) {
-            console.warn('Edit mode element not found for inline mode:', fieldElement)
-            return
+        if (!editModeElement || editModeElement.classList.contains('d-none')) {
+            return null
         }
+        return editModeElement.querySelector('[data-inline-edit-input]')
+    }
 
-        // Edit mode zaten açıksa
-        if (editModeElement && !editModeElement.classList.contains('d-none')) {
+    /**
+     * Remote select'i bağlar (select'te data-inline-edit-options-url varsa)
+     * Arama input'u debounce ile filtreler, listbox'ın sonuna scroll edildiğinde sonraki sayfa yüklenir.
+     * Element'ler her açılışta template'ten yeniden oluşturulduğu için listener'lar DOM ile birlikte kaldırılır.
+     */
+    initRemoteOptions(fieldElement, formElement) {
+        const fieldData = this.getFieldData(fieldElement)
+        const url = formElement.dataset?.inlineEditOptionsUrl
+        if (!fieldData || !url || formElement.tagName !== 'SELECT') {
             return
         }
 
-        // Template element'inden content'i clone'la
-        const contentTemplate = fieldElement.querySelector('[data-inline-edit-content-template]')
-        if (!contentTemplate) {
-            console.warn('Content template not found:', fieldElement)
-            return
+        const remote = {
+            url,
+            query: '',
+            page: 0,
+            hasMore: true,
+            loading: false,
+            controller: null,
+            timer: null
+        }
+        fieldData.remote = remote
+
+        const container = this.isDetachedMode(fieldData.editMode)
+            ? this.getPopoverElement(fieldElement)
+            : fieldElement.querySelector('[data-inline-edit-edit-mode]')
+        const searchInput = container?.querySelector('[data-inline-edit-options-search]')
+
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(remote.timer)
+                remote.timer = setTimeout(() => {
+                    this.loadRemoteOptions(fieldElement, searchInput.value.trim(), true)
+                }, this.remoteOptions.debounce)
+            })
+            // Aşağı ok sonuç listesine geçer
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown') {
+                    e.preventDefault()
+                    formElement.focus()
+                }
+            })
         }
 
-        // Template content'ini clone'la
-        const contentClone = contentTemplate.content.cloneNode(true)
-        
-        // Input'u bul ve ayarla
-        const input = contentClone.querySelector('[data-inline-edit-input]')
-        if (input) {
-            if (inputType === 'input' && input.tagName === 'INPUT') {
-                input.type = htmlType
-            }
-            if (placeholder) {
-                input.placeholder = placeholder
+        formElement.addEventListener('scroll', () => {
+            const distance = formElement.scrollHeight - formElement.scrollTop - formElement.clientHeight
+            if (distance <= this.remoteOptions.scrollThreshold) {
+                this.loadRemoteOptions(fieldElement, remote.query)
             }
-            
-            // Güncel değeri kullan (dataset'ten al, çünkü updateFieldValue ile güncellenmiş olabilir)
-            const currentValue = fieldElement.dataset.inlineEditValue || originalValue
-            this.setInputValue(input, currentValue)
+        })
+
+        this.loadRemoteOptions(fieldElement, '', true)
+    }
+
+    /**
+     * Remote options endpoint'inden bir sayfa yükler
+     * @param {boolean} reset - Yeni arama: devam eden request'i iptal et, seçili olmayan option'ları kaldır ve ilk sayfadan başla
+     */
+    async loadRemoteOptions(fieldElement, query, reset = false) {
+        const fieldData = this.getFieldData(fieldElement)
+        const remote = fieldData?.remote
+        const formElement = this.getFormElement(fieldElement)
+        if (!remote || !formElement) {
+            return
+        }
+        if (!reset && (remote.loading || !remote.hasMore)) {
+            return
         }
 
-        // Edit mode container'ı temizle ve clone'lanmış content'i ekle
-        editModeElement.innerHTML = ''
-        editModeElement.appendChild(contentClone)
+        // Eski request'i iptal et (geç gelen response yeni aramanın sonuçlarını ezmesin)
+        remote.controller?.abort()
+        const controller = new AbortController()
+        remote.controller = controller
+        remote.loading = true
+        formElement.setAttribute('aria-busy', 'true')
 
-        // Edit mode'u aç
-        readMode.classList.add('d-none')
-        editModeElement.classList.remove('d-none')
+        const page = reset ? 1 : remote.page + 1
+        const url = new URL(remote.url, window.location.href)
+        url.searchParams.set(this.remoteOptions.queryParam, query)
+        url.searchParams.set(this.remoteOptions.pageParam, String(page))
 
-        // DOM'a eklendikten sonra gerçek form element'ini bul
-        const formElement = editModeElement.querySelector('[data-inline-edit-input]')
+        try {
+            const response = await this.dispatchRequest({
+                url: url.toString(),
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                    ...this.transport.headers
+                },
+                body: null,
+                credentials: this.transport.credentials,
+                signal: controller.signal
+            }, {
+                field: fieldElement,
+                fieldData: fieldData,
+                action: 'options',
+                query: query,
+                page: page
+            })
 
-        // Form element'ini focus et
-        if (formElement) {
-            setTimeout(() => {
-                formElement.focus()
-                if (inputType === 'input' && formElement.tagName === 'INPUT') {
-                    formElement.select()
-                }
-            }, 50)
-        }
+            if (!response.ok) {
+                throw new Error(`Options request failed: ${response.status}`)
+            }
 
-        // Aktif field'ı kaydet
-        this.activeField = fieldElement
-        // Güncel değeri kullan
-        const currentValue = fieldElement.dataset.inlineEditValue || originalValue
-        this.activeFieldData = {
-            url,
-            fieldPath,
-            originalValue: currentValue,
-            inputType,
-            htmlType,
-            placeholder,
-            editMode: 'inline'
-        }
+            const data = await response.json()
+            if (remote.controller !== controller) {
+                return
+            }
 
-        // Eski click outside listener'ı kaldır (eğer varsa)
-        if (this.boundHandleClickOutside) {
-            document.removeEventListener('click', this.boundHandleClickOutside, true)
-        }
+            const { items, hasMore } = this.parseRemoteOptions(data, fieldElement, formElement)
+            if (reset) {
+                this.clearRemoteOptions(formElement)
+            }
+            this.appendRemoteOptions(formElement, items)
 
-        // Click outside listener ekle
-        this.boundHandleClickOutside = (e) => {
-            if (!this.activeField || this.activeField !== fieldElement) return
-            
-            const activeEditMode = this.activeField.querySelector('[data-inline-edit-edit-mode]')
-            if (!activeEditMode) return
-            
-            // Edit mode içindeki elementlere tıklanmadıysa cancel yap
-            if (!activeEditMode.contains(e.target)) {
-                this.cancel(this.activeField)
+            remote.query = query
+            remote.page = page
+            remote.hasMore = hasMore
+        } catch (error) {
+            if (error.name === 'AbortError' || remote.controller !== controller) {
+                return
+            }
+            console.warn('Remote options load error:', error)
+            this.emit('error', {
+                field: fieldElement,
+                fieldData: fieldData,
+                formElement: formElement,
+                error: error.message,
+                action: 'options'
+            })
+        } finally {
+            if (remote.controller === controller) {
+                remote.controller = null
+                remote.loading = false
+                formElement.removeAttribute('aria-busy')
             }
         }
+    }
+
+    /**
+     * Remote options response'unu {items: [{value, label}], hasMore} formatına çevirir
+     * Desteklenen formatlar: düz array, {items, hasMore}, Select2 tarzı {results, pagination: {more}}
+     * Item key'leri select'in data-inline-edit-options-value-key / label-key attribute'larından okunur
+     * (Twig'de choice_value_key / choice_label_key), yoksa value/label veya id/text kullanılır.
+     */
+    parseRemoteOptions(data, fieldElement, formElement) {
+        if (typeof this.remoteOptions.mapResponse === 'function') {
+            return this.remoteOptions.mapResponse(data, { field: fieldElement, formElement })
+        }
 
-        // Capture phase'de dinle (biraz gecikmeyle ki enable edit event'i tamamlansın)
-        setTimeout(() => {
-            document.addEventListener('click', this.boundHandleClickOutside, true)
-        }, 0)
+        const list = Array.isArray(data) ? data : (data?.items ?? data?.results ?? data?.data ?? [])
+        const hasMore = Array.isArray(data) ? false : !!(data?.hasMore ?? data?.pagination?.more ?? false)
+        const valueKey = formElement.dataset.inlineEditOptionsValueKey || 'value'
+        const labelKey = formElement.dataset.inlineEditOptionsLabelKey || 'label'
+
+        return {
+            items: list.map(item => ({
+                value: String(item[valueKey] ?? item.id ?? ''),
+                label: String(item[labelKey] ?? item.text ?? item[valueKey] ?? '')
+            })),
+            hasMore
+        }
+    }
 
-        // Error mesajını temizle
-        this.clearError(fieldElement)
+    /**
+     * Yeni arama öncesi option'ları temizler (seçili option'lar ve placeholder korunur, seçim kaybolmasın)
+     */
+    clearRemoteOptions(formElement) {
+        Array.from(formElement.options)
+            .filter(option => !option.selected && option.value !== '')
+            .forEach(option => option.remove())
+    }
 
-        // Event emit: opened (edit mode açıldı)
-        this.emit('opened', {
-            field: fieldElement,
-            fieldData: this.activeFieldData,
-            formElement: formElement
+    /**
+     * Yüklenen option'ları select'e ekler (zaten listede olanlar atlanır)
+     */
+    appendRemoteOptions(formElement, items) {
+        const existing = new Set(Array.from(formElement.options).map(option => option.value))
+        items.forEach(item => {
+            if (existing.has(item.value)) return
+            existing.add(item.value)
+            formElement.appendChild(new Option(item.label, item.value))
         })
+    }
 
-        // Event emit: clicked (edit butonuna tıklandı)
-        this.emit('clicked', {
-            field: fieldElement,
-            fieldData: this.activeFieldData,
-            formElement: formElement
-        })
+    /**
+     * Field'ın açık editor container'ı (inline edit mode elementi veya popover / dialog elementi)
+     */
+    getEditorElement(fieldElement) {
+        return this.isDetachedMode(fieldElement.dataset.inlineEditMode || 'inline')
+            ? this.getPopoverElement(fieldElement)
+            : fieldElement.querySelector('[data-inline-edit-edit-mode]')
     }
 
     /**
-     * Popover modu için edit mode'u aktif eder
+     * Element'in id'sini döner, yoksa üretir (ARIA referansları için)
      */
-    enableEditPopover(fieldElement, config) {
-        const { url, fieldPath, originalValue, inputType, htmlType, placeholder, readMode } = config
+    ensureElementId(element, prefix = 'inline-edit') {
+        if (!element.id) {
+            element.id = `${prefix}-${++elementIdCounter}`
+        }
+        return element.id
+    }
 
-        // Trigger button'u bul
-        const triggerButton = readMode.querySelector('[data-inline-edit-enable]')
-        if (!triggerButton) {
-            console.warn('Popover trigger button not found:', fieldElement)
+    /**
+     * Edit butonunun aria-expanded / aria-controls durumunu günceller
+     */
+    setExpanded(fieldElement, isExpanded) {
+        const trigger = fieldElement.querySelector('[data-inline-edit-enable]')
+        if (!trigger) {
             return
         }
 
-        // Eğer zaten bir popover instance varsa dispose et
-        if (fieldElement._popoverInstance) {
-            try {
-                const triggerButton = readMode.querySelector('[data-inline-edit-enable]')
-                if (triggerButton) {
-                    const instance = bootstrap.Popover.getInstance(triggerButton)
-                    if (instance === fieldElement._popoverInstance) {
-                        fieldElement._popoverInstance.dispose()
-                    }
-                }
-            } catch (error) {
-                console.warn('Popover dispose error:', error)
-            } finally {
-                fieldElement._popoverInstance = null
-            }
+        trigger.setAttribute('aria-expanded', isExpanded ? 'true' : 'false')
+
+        const editorElement = isExpanded ? this.getEditorElement(fieldElement) : null
+        if (editorElement) {
+            trigger.setAttribute('aria-controls', this.ensureElementId(editorElement, 'inline-edit-editor'))
+        } else if (this.isDetachedMode(fieldElement.dataset.inlineEditMode || 'inline')) {
+            // Popover kapandığında DOM'dan kaldırılır, referans boşta kalmasın
+            trigger.removeAttribute('aria-controls')
         }
+    }
 
-        // Template element'inden content'i clone'la
-        const contentTemplate = fieldElement.querySelector('[data-inline-edit-content-template]')
-        if (!contentTemplate) {
-            console.warn('Content template not found:', fieldElement)
+    /**
+     * Edit mode kapandığında focus'un döneceği element (edit butonu, yoksa read view)
+     */
+    getFocusReturnTarget(fieldElement) {
+        return fieldElement.querySelector('[data-inline-edit-enable]')
+            || fieldElement.querySelector('[data-inline-edit-read-mode]')
+    }
+
+    /**
+     * Label'ı olmayan form element'ine field'ın label'ını (data-inline-edit-label) veya placeholder'ını aria-label olarak verir
+     */
+    labelFormElement(fieldElement, formElement) {
+        const target = this.comboboxes.get(formElement)?.input || formElement
+        if (target.hasAttribute('aria-label') || target.hasAttribute('aria-labelledby') || target.labels?.length) {
             return
         }
 
-        // Template content'ini clone'la
-        const contentClone = contentTemplate.content.cloneNode(true)
-        
-        // Clone'lanmış tüm elementlere data-real="true" ekle
-        const allElements = contentClone.querySelectorAll('*')
-        allElements.forEach(el => {
-            el.setAttribute('data-real', 'true')
-        })
-        // Clone'lanmış root element'e de ekle
-        if (contentClone.firstElementChild) {
-            contentClone.firstElementChild.setAttribute('data-real', 'true')
+        const label = fieldElement.dataset.inlineEditLabel || fieldElement.dataset.inlineEditPlaceholder
+        if (label) {
+            target.setAttribute('aria-label', label)
         }
-        
-        const input = contentClone.querySelector('[data-inline-edit-input]')
-        
-        if (input) {
-            if (inputType === 'input' && input.tagName === 'INPUT') {
-                input.type = htmlType
+    }
+
+    /**
+     * Input'un aria-invalid / aria-describedby durumunu hata mesajına göre günceller
+     * (combobox kullanılıyorsa görünen combobox input'u da güncellenir)
+     */
+    setInvalidState(fieldElement, input, errorElement, isInvalid) {
+        const errorId = errorElement ? this.ensureElementId(errorElement, 'inline-edit-error') : null
+        const targets = [input, this.comboboxes.get(input)?.input].filter(Boolean)
+
+        targets.forEach(target => {
+            const describedBy = (target.getAttribute('aria-describedby') || '').split(/\s+/).filter(id => id && id !== errorId)
+            if (isInvalid) {
+                target.setAttribute('aria-invalid', 'true')
+                if (errorId) {
+                    describedBy.push(errorId)
+                }
+            } else {
+                target.removeAttribute('aria-invalid')
             }
-            if (placeholder) {
-                input.placeholder = placeholder
+
+            if (describedBy.length) {
+                target.setAttribute('aria-describedby', describedBy.join(' '))
+            } else {
+                target.removeAttribute('aria-describedby')
             }
-            
-            // Güncel değeri kullan (dataset'ten al, çünkü updateFieldValue ile güncellenmiş olabilir)
-            const currentValue = fieldElement.dataset.inlineEditValue || originalValue
-            this.setInputValue(input, currentValue)
+        })
+    }
+
+    /**
+     * Mesajı aria-live region ile ekran okuyuculara bildirir
+     * @param {string} politeness - 'polite' (saving, saved) veya 'assertive' (hatalar)
+     */
+    announce(message, politeness = 'polite') {
+        if (!this.announcements || !message) {
+            return
         }
 
-        // Clone'lanmış content'i bir div'e koy ve HTML string'ini al
-        const tempDiv = document.createElement('div')
-        tempDiv.appendChild(contentClone)
-        const popoverContentHtml = tempDiv.innerHTML
+        let region = this.liveRegions[politeness]
+        if (!region || !region.isConnected) {
+            region = document.createElement('div')
+            region.className = 'inline-edit-sr-only'
+            region.setAttribute('aria-live', politeness)
+            region.setAttribute('aria-atomic', 'true')
+            region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status')
+            document.body.appendChild(region)
+            this.liveRegions[politeness] = region
+        }
 
-        // Bootstrap Popover instance oluştur
-        const popoverInstance = new bootstrap.Popover(triggerButton, {
-            trigger: 'manual',
-            placement: 'auto',
-            container: 'body',
-            html: true,
-            sanitize: false,
-            content: popoverContentHtml,
-            title: 'Düzenle'
-        })
+        // Aynı mesaj art arda geldiğinde de okunması için önce temizle
+        region.textContent = ''
+        setTimeout(() => {
+            region.textContent = message
+        }, 50)
+    }
 
-        // Popover instance'ı field element'ine kaydet
-        fieldElement._popoverInstance = popoverInstance
+    /**
+     * Düzenlenebilir field'lar; field verilirse onun navigasyon kapsamındakiler
+     * (aynı data-inline-edit-navigation container'ı veya hiçbir container'da olmayanlar)
+     */
+    getNavigableFields(fieldElement = null) {
+        const fields = Array.from(document.querySelectorAll('[data-inline-edit-manager="true"]'))
+            .filter(field => field.querySelector('[data-inline-edit-enable]') && !field.closest('[hidden]'))
+        if (!fieldElement) {
+            return fields
+        }
 
-        // Aktif field'ı kaydet
-        this.activeField = fieldElement
-        // Güncel değeri kullan
-        const currentValue = fieldElement.dataset.inlineEditValue || originalValue
-        this.activeFieldData = {
-            url,
-            fieldPath,
-            originalValue: currentValue,
-            inputType,
-            htmlType,
-            placeholder,
-            editMode: 'popup',
-            popoverInstance: popoverInstance
+        const root = fieldElement.closest('[data-inline-edit-navigation]')
+        return fields.filter(field => field.closest('[data-inline-edit-navigation]') === root)
+    }
+
+    /**
+     * Sıradaki / önceki field'ı döner (wrap ayarına göre başa / sona döner)
+     * @param {number} direction - 1 (sonraki) veya -1 (önceki)
+     */
+    getAdjacentField(fieldElement, direction) {
+        const fields = this.getNavigableFields(fieldElement)
+        const index = fields.indexOf(fieldElement)
+        if (index === -1) {
+            return null
         }
 
-        // Popover event listener'ları ekle
-        const handlePopoverShown = () => {
-            // Popover gösterildiğinde form element'ini focus et ve opened event'ini emit et
-            setTimeout(() => {
-                // Popover element'ini DOM'dan bul (shown.bs.popover event'i tetiklendiğinde popover zaten DOM'da)
-                const popoverElement = document.querySelector('.popover')
-                if (!popoverElement) return
-                
-                const popoverBody = popoverElement.querySelector('.popover-body')
-                if (!popoverBody) return
-                
-                const formElement = popoverBody.querySelector('[data-inline-edit-input]')
-                if (formElement) {
-                    formElement.focus()
-                    if (inputType === 'input' && formElement.tagName === 'INPUT') {
-                        formElement.select()
-                    }
-                    
-                    // Popover içindeki gerçek form element ile opened event'ini emit et
-                    this.emit('opened', {
-                        field: fieldElement,
-                        fieldData: this.activeFieldData,
-                        formElement: formElement
-                    })
-                }
-            }, 100)
+        let nextIndex = index + direction
+        if (this.navigation?.wrap) {
+            nextIndex = (nextIndex + fields.length) % fields.length
         }
+        return fields[nextIndex] || null
+    }
 
-        const handlePopoverHidden = () => {
-            // Popover gizlendiğinde, güncel HTML'i template'e kaydet
-            const popoverElement = document.querySelector('.popover')
-            if (popoverElement && this.activeField === fieldElement) {
-                const popoverBody = popoverElement.querySelector('.popover-body')
-                if (popoverBody) {
-                    // Popover'daki güncel content'i template'e kaydet
-                    const contentTemplate = fieldElement.querySelector('[data-inline-edit-content-template]')
-                    if (contentTemplate) {
-                        // Popover'daki select elementlerinin selected attribute'larını güncelle
-                        const selectInPopover = popoverBody.querySelector('select[data-inline-edit-input]')
-                        if (selectInPopover) {
-                            Array.from(selectInPopover.options).forEach(option => {
-                                if (option.selected) {
-                                    option.setAttribute('selected', 'selected')
-                                } else {
-                                    option.removeAttribute('selected')
-                                }
-                            })
-                        }
-                        
-                        // Popover'daki HTML'i al
-                        const popoverHtml = popoverBody.innerHTML
-                        
-                        // Template içeriğini güncelle
-                        // Not: Template element'inin content property'si read-only olduğu için
-                        // innerHTML kullanarak güncelliyoruz (template element'i normal element gibi davranır)
-                        contentTemplate.innerHTML = popoverHtml
-                    }
-                }
+    /**
+     * Tablo içindeki field için aynı kolonda bir üst / alt satırdaki field'ı döner
+     * Tablo dışındaki field'larda sıradaki / önceki field kullanılır.
+     */
+    getVerticalField(fieldElement, direction) {
+        const cell = fieldElement.closest('td, th')
+        const table = cell?.closest('table')
+        if (!cell || !table) {
+            return this.getAdjacentField(fieldElement, direction)
+        }
+
+        const navigable = this.getNavigableFields(fieldElement)
+        const rows = Array.from(table.rows)
+        for (let i = rows.indexOf(cell.parentElement) + direction; i >= 0 && i < rows.length; i += direction) {
+            const target = rows[i].cells[cell.cellIndex]
+            const field = target && navigable.find(candidate => target.contains(candidate))
+            if (field) {
+                return field
             }
-            
-            // NOT: Popover instance'ı burada dispose etme
-            // closeEditMode içinde dispose edilecek
-            // Bu şekilde çift dispose önlenir
         }
+        return null
+    }
 
-        triggerButton.addEventListener('shown.bs.popover', handlePopoverShown)
-        triggerButton.addEventListener('hidden.bs.popover', handlePopoverHidden)
+    /**
+     * Edit butonunda navigasyon tuşlarını işler
+     */
+    handleNavigationKey(e, fieldElement) {
+        if (!fieldElement || e.altKey || e.ctrlKey || e.metaKey) {
+            return
+        }
 
-        // Eski click outside listener'ı kaldır (eğer varsa)
-        if (this.boundHandleClickOutside) {
-            document.removeEventListener('click', this.boundHandleClickOutside, true)
+        if (e.key === 'Enter' || e.key === 'F2') {
+            e.preventDefault()
+            this.enableEdit(fieldElement)
+            return
         }
 
-        // Click outside listener ekle (popover için)
-        this.boundHandleClickOutside = (e) => {
-            if (!this.activeField || this.activeField !== fieldElement) return
-            
-            const popoverElement = document.querySelector('.popover')
-            const triggerBtn = fieldElement.querySelector('[data-inline-edit-enable]')
-            
-            // Popover içine veya trigger button'a tıklanmadıysa cancel yap
-            if (popoverElement && !popoverElement.contains(e.target) && 
-                triggerBtn && !triggerBtn.contains(e.target)) {
-                this.cancel(this.activeField)
-            }
+        if (!this.navigation.arrows) {
+            return
         }
 
-        // Capture phase'de dinle
-        setTimeout(() => {
-            document.addEventListener('click', this.boundHandleClickOutside, true)
-        }, 0)
+        const fields = this.getNavigableFields(fieldElement)
+        const targets = {
+            ArrowRight: () => this.getAdjacentField(fieldElement, 1),
+            ArrowLeft: () => this.getAdjacentField(fieldElement, -1),
+            ArrowDown: () => this.getVerticalField(fieldElement, 1),
+            ArrowUp: () => this.getVerticalField(fieldElement, -1),
+            Home: () => fields[0],
+            End: () => fields[fields.length - 1]
+        }
+        if (!targets[e.key]) {
+            return
+        }
 
-        // Error mesajını temizle
-        this.clearError(fieldElement)
+        e.preventDefault()
+        this.focusField(targets[e.key]())
+    }
 
-        // Popover'ı göster
-        popoverInstance.show()
+    /**
+     * Field'ın edit butonunu focus eder (roving tabindex güncellenir)
+     */
+    focusField(fieldElement) {
+        const trigger = fieldElement?.querySelector('[data-inline-edit-enable]')
+        if (trigger) {
+            this.setRovingField(fieldElement)
+            trigger.focus()
+        }
+    }
 
-        // NOT: opened event'ini burada emit etme, handlePopoverShown içinde emit edilecek
-        // Çünkü popover gösterilmeden önce popover içindeki gerçek element'e erişemeyiz
+    /**
+     * Field'ı kaydeder, başarılıysa sonraki / önceki field'ı edit mode'da açar
+     * Validation veya sunucu hatasında field açık kalır.
+     */
+    async saveAndMove(fieldElement, direction) {
+        const target = this.getAdjacentField(fieldElement, direction)
 
-        // Event emit: clicked (edit butonuna tıklandı)
-        this.emit('clicked', {
-            field: fieldElement,
-            fieldData: this.activeFieldData,
-            formElement: input // Clone'daki form element (henüz DOM'da değil)
-        })
+        await this.save(fieldElement)
+        if (this.isActive(fieldElement)) {
+            return
+        }
+
+        if (target) {
+            this.setRovingField(target)
+            this.enableEdit(target)
+        } else {
+            this.focusField(fieldElement)
+        }
     }
 
     /**
-     * Edit mode'u kapatır ve değişiklikleri kaydeder
+     * Roving tabindex: kapsamdaki field'lardan sadece verilen field'ın edit butonu Tab ile focus alır
      */
-    async save(fieldElement, event) {
-        if (event) {
-            event.preventDefault()
-            event.stopPropagation()
+    setRovingField(fieldElement) {
+        if (!this.navigation || !fieldElement) {
+            return
         }
+        this.getNavigableFields(fieldElement).forEach(field => {
+            field.querySelectorAll('[data-inline-edit-enable]').forEach(trigger => {
+                trigger.tabIndex = field === fieldElement ? 0 : -1
+            })
+        })
+    }
 
-        if (!fieldElement || fieldElement !== this.activeField) {
+    /**
+     * Edit butonlarını klavye navigasyonu için hazırlar (sayfaya sonradan eklenen field'lar için tekrar çağrılabilir)
+     * Mevcut edit butonu roving focus hedefidir (read view'a role verilmez, buton iç içe interaktif element olmasın);
+     * her navigasyon kapsamında bir field'ın butonu Tab ile focus alır.
+     */
+    refreshNavigation() {
+        if (!this.navigation) {
             return
         }
 
-        const editMode = fieldElement.dataset.inlineEditMode || 'inline'
-        let formElement = null
+        const roots = new Map()
+        this.getNavigableFields().forEach(field => {
+            const trigger = field.querySelector('[data-inline-edit-enable]')
+            trigger.setAttribute('aria-keyshortcuts', 'Enter F2')
 
-        // Popover modu için popover içindeki form element'ini bul
-        if (editMode === 'popup') {
-            const popoverElement = document.querySelector('.popover')
-            if (!popoverElement) {
-                return
-            }
-            formElement = popoverElement.querySelector('[data-inline-edit-input]')
-            if (!formElement) {
-                return
+            const root = field.closest('[data-inline-edit-navigation]') || document
+            if (!roots.has(root)) {
+                roots.set(root, field)
             }
-        } else {
-            // Inline modu için mevcut işlem
-            const editModeElement = fieldElement.querySelector('[data-inline-edit-edit-mode]')
-            if (!editModeElement || editModeElement.classList.contains('d-none')) {
-                return
+            // Önceki refresh'te Tab durağı olan field korunur
+            if (trigger.tabIndex === 0 && trigger.hasAttribute('tabindex')) {
+                roots.set(root, field)
             }
-            formElement = editModeElement.querySelector('[data-inline-edit-input]')
-            if (!formElement) {
-                return
+        })
+
+        roots.forEach(field => this.setRovingField(field))
+    }
+
+    /**
+     * Multiple select'i aranabilir, chip'li bir combobox'a çevirir (WAI-ARIA combobox + multiselectable listbox)
+     * Native select gizlenir ama değerin kaynağı olarak kalır; getInputValue / setInputValue select üzerinden çalışır.
+     * Field'da data-inline-edit-multiple yoksa, select'te data-inline-edit-combobox="false" veya data-choices
+     * (Choices.js) varsa veya select remote options kullanıyorsa dokunulmaz.
+     */
+    initCombobox(fieldElement, formElement) {
+        if (fieldElement.dataset.inlineEditMultiple !== 'true' || formElement.tagName !== 'SELECT' || !formElement.multiple) {
+            return
+        }
+        if (formElement.dataset.inlineEditCombobox === 'false' || formElement.hasAttribute('data-choices')
+            || formElement.dataset.inlineEditOptionsUrl) {
+            return
+        }
+
+        // Önceki açılıştan kalmış UI varsa kaldır
+        this.destroyCombobox(formElement)
+        formElement.parentElement?.querySelectorAll(':scope > [data-inline-edit-combobox-ui]').forEach(el => el.remove())
+
+        const id = `inline-edit-combobox-${++elementIdCounter}`
+        const wrapper = document.createElement('div')
+        wrapper.className = 'inline-edit-combobox'
+        wrapper.setAttribute('data-inline-edit-combobox-ui', '')
+        wrapper.innerHTML = `
+            <div class="inline-edit-combobox-control form-control form-control-sm">
+                <ul class="inline-edit-combobox-chips" ></ul>
+                <input type="text" class="inline-edit-combobox-input" role="combobox" autocomplete="off"
+                       aria-autocomplete="list" aria-expanded="false" aria-controls="${id}-listbox">
+            </div>
+            <ul class="inline-edit-combobox-listbox" id="${id}-listbox" role="listbox" aria-multiselectable="true" hidden></ul>
+            <div class="inline-edit-combobox-empty" hidden></div>`
+
+        const input = wrapper.querySelector('[role="combobox"]')
+        const chips = wrapper.querySelector('.inline-edit-combobox-chips')
+        const listbox = wrapper.querySelector('[role="listbox"]')
+        const empty = wrapper.querySelector('.inline-edit-combobox-empty')
+        chips.setAttribute('aria-label', this.t('combobox.selected'))
+        empty.textContent = this.t('combobox.empty')
+        input.setAttribute('aria-label', fieldElement.dataset.inlineEditPlaceholder || this.t('combobox.placeholder'))
+        input.placeholder = fieldElement.dataset.inlineEditPlaceholder || ''
+
+        const state = {
+            wrapper,
+            input,
+            activeIndex: -1,
+            render: null
+        }
+
+        const options = () => Array.from(formElement.options).filter(option => option.value !== '')
+        const visibleItems = () => Array.from(listbox.querySelectorAll('[role="option"]:not([hidden])'))
+
+        const setActive = (index) => {
+            const items = visibleItems()
+            items.forEach(item => item.classList.remove('active'))
+            state.activeIndex = items.length ? Math.max(0, Math.min(index, items.length - 1)) : -1
+            const activeItem = items[state.activeIndex]
+            if (activeItem) {
+                activeItem.classList.add('active')
+                activeItem.scrollIntoView?.({ block: 'nearest' })
+                input.setAttribute('aria-activedescendant', activeItem.id)
+            } else {
+                input.removeAttribute('aria-activedescendant')
             }
         }
 
-        // Form element değerini al
-        const { value: newValue, isMultiple, selectedTexts } = this.getInputValue(formElement)
-        
-        // Değerleri normalize et ve karşılaştır
-        const newValueStr = this.normalizeValueForComparison(newValue)
-        const oldValueStr = this.normalizeValueForComparison(this.activeFieldData?.originalValue || '')
-        
-        // Değer değişmediyse sadece edit mode'u kapat
-        if (newValueStr === oldValueStr) {
-            this.closeEditMode(fieldElement, 'no_change')
-            return
+        const filter = () => {
+            const term = input.value.trim().toLocaleLowerCase()
+            listbox.querySelectorAll('[role="option"]').forEach(item => {
+                item.hidden = term !== '' && !item.textContent.toLocaleLowerCase().includes(term)
+            })
+            empty.hidden = listbox.hidden || visibleItems().length > 0
+            setActive(0)
+        }
+
+        const open = () => {
+            listbox.hidden = false
+            input.setAttribute('aria-expanded', 'true')
+            filter()
+        }
+
+        const close = () => {
+            listbox.hidden = true
+            empty.hidden = true
+            input.setAttribute('aria-expanded', 'false')
+            input.removeAttribute('aria-activedescendant')
+            state.activeIndex = -1
+        }
+
+        // Option seçimini değiştirir ve select üzerinde change event'i tetikler (instant save vb. için)
+        const toggle = (value, selected) => {
+            const option = options().find(opt => opt.value === value)
+            if (!option) return
+            option.selected = selected ?? !option.selected
+            option.toggleAttribute('selected', option.selected)
+            state.render()
+            formElement.dispatchEvent(new Event('change', { bubbles: true }))
+        }
+
+        options().forEach((option, index) => {
+            const item = document.createElement('li')
+            item.id = `${id}-option-${index}`
+            item.className = 'inline-edit-combobox-option'
+            item.setAttribute('role', 'option')
+            item.dataset.value = option.value
+            item.textContent = option.textContent.trim()
+            listbox.appendChild(item)
+        })
+
+        // Listbox'taki seçim durumunu ve chip'leri select'in güncel değerine göre çizer
+        state.render = () => {
+            chips.innerHTML = ''
+            options().forEach((option, index) => {
+                const label = option.textContent.trim()
+                listbox.children[index]?.setAttribute('aria-selected', option.selected ? 'true' : 'false')
+
+                if (option.selected) {
+                    const chip = document.createElement('li')
+                    chip.className = 'inline-edit-combobox-chip badge text-bg-secondary'
+                    chip.textContent = label
+                    const remove = document.createElement('button')
+                    remove.type = 'button'
+                    remove.className = 'inline-edit-combobox-chip-remove'
+                    remove.tabIndex = -1
+                    remove.dataset.value = option.value
+                    remove.setAttribute('aria-label', this.t('combobox.remove', { label }))
+                    remove.textContent = '×'
+                    chip.appendChild(remove)
+                    chips.appendChild(chip)
+                }
+            })
         }
 
-        // Event emit: save (save başlamadan önce)
-        this.emit('save', {
-            field: fieldElement,
-            fieldData: this.activeFieldData,
-            value: newValue,
-            isMultiple: isMultiple,
-            formElement: formElement,
-            preventDefault: false
+        input.addEventListener('input', open)
+        input.addEventListener('click', open)
+        input.addEventListener('blur', close)
+
+        input.addEventListener('keydown', (e) => {
+            const items = visibleItems()
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault()
+                if (listbox.hidden) {
+                    open()
+                    return
+                }
+                setActive(state.activeIndex + (e.key === 'ArrowDown' ? 1 : -1))
+                return
+            }
+
+            // Açık listede Enter aktif option'ı seçer/kaldırır; liste kapalıysa Enter save'e gider
+            if (e.key === 'Enter' && !listbox.hidden && items[state.activeIndex]) {
+                e.preventDefault()
+                e.stopPropagation()
+                toggle(items[state.activeIndex].dataset.value)
+                input.value = ''
+                filter()
+                return
+            }
+
+            // Escape önce listeyi kapatır, ikinci Escape edit mode'u iptal eder
+            if (e.key === 'Escape' && !listbox.hidden) {
+                e.preventDefault()
+                e.stopPropagation()
+                close()
+                return
+            }
+
+            // Boş input'ta Backspace son chip'i kaldırır
+            if (e.key === 'Backspace' && input.value === '') {
+                const lastSelected = options().filter(option => option.selected).pop()
+                if (lastSelected) {
+                    e.preventDefault()
+                    toggle(lastSelected.value, false)
+                }
+            }
         })
 
-        // Loading state
-        this.setLoadingState(fieldElement, true)
+        // mousedown'da focus input'tan çıkmasın (blur listeyi kapatır)
+        listbox.addEventListener('mousedown', e => e.preventDefault())
+        listbox.addEventListener('click', (e) => {
+            const item = e.target.closest('[role="option"]')
+            if (item) {
+                toggle(item.dataset.value)
+            }
+        })
+        chips.addEventListener('mousedown', e => e.preventDefault())
+        chips.addEventListener('click', (e) => {
+            const remove = e.target.closest('.inline-edit-combobox-chip-remove')
+            if (remove) {
+                toggle(remove.dataset.value, false)
+                input.focus()
+            }
+        })
 
-        try {
-            // PATCH request gönder
-            const response = await this.submitPatch(newValue, isMultiple)
+        formElement.hidden = true
+        formElement.tabIndex = -1
+        formElement.after(wrapper)
+        this.comboboxes.set(formElement, state)
+        state.render()
+    }
 
-            // Response'u handle et (selectedTexts'i de gönder)
-            await this.handleResponse(response, newValue, fieldElement, selectedTexts)
-        } catch (error) {
-            console.error('Save error:', error)
-            this.showError(fieldElement, 'Kaydetme sırasında bir hata oluştu. Lütfen tekrar deneyin.')
-            this.setLoadingState(fieldElement, false)
+    /**
+     * Combobox UI'ını kaldırır ve native select'i geri gösterir
+     */
+    destroyCombobox(formElement) {
+        const state = this.comboboxes.get(formElement)
+        if (!state) {
+            return
+        }
+        state.wrapper.remove()
+        formElement.hidden = false
+        formElement.removeAttribute('tabindex')
+        this.comboboxes.delete(formElement)
+    }
 
-            // Event emit: error
-            this.emit('error', {
-                field: fieldElement,
-                fieldData: this.activeFieldData,
-                formElement: formElement,
-                error: error,
-                action: 'save'
-            })
+    /**
+     * Remote options debounce timer'ını ve devam eden request'i temizler
+     */
+    destroyRemoteOptions(fieldData) {
+        if (!fieldData?.remote) {
+            return
         }
+        clearTimeout(fieldData.remote.timer)
+        fieldData.remote.controller?.abort()
+        fieldData.remote = null
     }
 
     /**
@@ -763,40 +4518,42 @@ class InlineEditManager {
             return
         }
 
+        // Devam eden save request'i varsa iptal et
+        this.abortPendingRequest(fieldElement)
+
+        const fieldData = this.getFieldData(fieldElement)
+
         const editMode = fieldElement.dataset.inlineEditMode || 'inline'
         
         // Popover modu için özel işlem
-        if (editMode === 'popup') {
+        if (this.isDetachedMode(editMode)) {
             // Click outside listener'ı kaldır
-            if (this.boundHandleClickOutside) {
-                document.removeEventListener('click', this.boundHandleClickOutside, true)
-                this.boundHandleClickOutside = null
-            }
+            this.removeClickOutsideListener(fieldData)
 
             // Original değere geri dön (popover içindeki form element)
-            const popoverElement = document.querySelector('.popover')
+            const popoverElement = this.getPopoverElement(fieldElement)
             let formElement = null
             if (popoverElement) {
                 formElement = popoverElement.querySelector('[data-inline-edit-input]')
-                if (formElement && this.activeFieldData) {
-                    this.setInputValue(formElement, this.activeFieldData.originalValue)
+                if (formElement && fieldData) {
+                    this.setInputValue(formElement, fieldData.originalValue, fieldElement)
                 }
             }
 
             // Event emit: cancel (iptal edildi)
             this.emit('cancel', {
                 field: fieldElement,
-                fieldData: this.activeFieldData,
+                fieldData: fieldData,
                 formElement: formElement,
-                originalValue: this.activeFieldData?.originalValue
+                originalValue: fieldData?.originalValue
             })
 
             // Event emit: rejected (iptal edildi - alias)
             this.emit('rejected', {
                 field: fieldElement,
-                fieldData: this.activeFieldData,
+                fieldData: fieldData,
                 formElement: formElement,
-                originalValue: this.activeFieldData?.originalValue
+                originalValue: fieldData?.originalValue
             })
 
             // Edit mode'u kapat (popover dispose edilecek)
@@ -811,31 +4568,28 @@ class InlineEditManager {
         }
 
         // Click outside listener'ı kaldır
-        if (this.boundHandleClickOutside) {
-            document.removeEventListener('click', this.boundHandleClickOutside, true)
-            this.boundHandleClickOutside = null
-        }
+        this.removeClickOutsideListener(fieldData)
 
         // Original değere geri dön
         const formElement = editModeElement.querySelector('[data-inline-edit-input]')
-        if (formElement && this.activeFieldData) {
-            this.setInputValue(formElement, this.activeFieldData.originalValue)
+        if (formElement && fieldData) {
+            this.setInputValue(formElement, fieldData.originalValue, fieldElement)
         }
 
         // Event emit: cancel (iptal edildi)
         this.emit('cancel', {
             field: fieldElement,
-            fieldData: this.activeFieldData,
+            fieldData: fieldData,
             formElement: formElement,
-            originalValue: this.activeFieldData?.originalValue
+            originalValue: fieldData?.originalValue
         })
 
         // Event emit: rejected (iptal edildi - alias)
         this.emit('rejected', {
             field: fieldElement,
-            fieldData: this.activeFieldData,
+            fieldData: fieldData,
             formElement: formElement,
-            originalValue: this.activeFieldData?.originalValue
+            originalValue: fieldData?.originalValue
         })
 
         // Edit mode'u kapat
@@ -843,24 +4597,108 @@ class InlineEditManager {
     }
 
     /**
-     * PATCH request gönderir
+     * Transport ayarlarını normalize eder
+     * Fonksiyon verilirse custom sender olarak kullanılır
+     */
+    normalizeTransport(transport) {
+        if (typeof transport === 'function') {
+            return { ...DEFAULT_TRANSPORT, send: transport }
+        }
+
+        const normalized = { ...DEFAULT_TRANSPORT, ...(transport || {}) }
+        normalized.method = String(normalized.method).toUpperCase()
+
+        if (!TRANSPORT_CONTENT_TYPES[normalized.format]) {
+            console.warn(`Unknown transport format: ${normalized.format}, falling back to "form"`)
+            normalized.format = 'form'
+        }
+
+        return normalized
+    }
+
+    /**
+     * Save request'ini gönderir (transport ayarlarına göre)
      */
-    async submitPatch(value, isMultiple = false) {
-        if (!this.activeFieldData) {
+    async submitPatch(value, isMultiple = false, signal = null, fieldData = this.activeFieldData) {
+        if (!fieldData) {
             throw new Error('Active field data not found')
         }
 
-        const url = this.activeFieldData.url
-        const fieldPath = this.activeFieldData.fieldPath
+        return this.sendRequest(fieldData, value, isMultiple, signal)
+    }
+
+    /**
+     * Verilen field data'sı için request'i gönderir (custom sender veya fetch)
+     * @param {{url: string, fieldPath: string}} fieldData
+     */
+    async sendRequest(fieldData, value, isMultiple = false, signal = null) {
+        const request = this.buildRequest(fieldData, value, isMultiple)
+        request.signal = signal
+
+        return this.dispatchRequest(request, {
+            fieldData: fieldData,
+            value: value,
+            isMultiple: isMultiple
+        })
+    }
+
+    /**
+     * Hazır request objesini gönderir (custom sender varsa onunla, yoksa fetch ile)
+     * @param {{url: string, method: string, headers: Object, body: string, credentials: string, signal: ?AbortSignal}} request
+     * @param {Object} context - Custom sender'a iletilecek context
+     */
+    async dispatchRequest(request, context = {}) {
+        // Custom sender
+        if (typeof this.transport.send === 'function') {
+            return this.transport.send(request, {
+                ...context,
+                manager: this
+            })
+        }
+
+        // Fetch request - fetch'in reject olması network hatasıdır (abort hariç), NetworkError olarak işaretlenir
+        try {
+            return await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                credentials: request.credentials,
+                signal: request.signal
+            })
+        } catch (e) {
+            if (e?.name === 'AbortError') {
+                throw e
+            }
+            const error = this.createError('NetworkError', e?.message || 'Network request failed')
+            error.cause = e
+            throw error
+        }
+    }
+
+    /**
+     * Transport ayarlarına göre request objesini oluşturur
+     * @returns {{url: string, method: string, headers: Object, body: string, credentials: string}}
+     */
+    buildRequest(fieldData, value, isMultiple = false) {
+        return this.buildBatchRequest(fieldData.url, [{ fieldData, value, isMultiple }])
+    }
 
-        // Field path'i URL-encoded formatına çevir
-        const body = this.buildUrlEncodedBody(fieldPath, value, isMultiple)
+    /**
+     * Birden fazla field'ın değerini tek request'te gönderecek request objesini oluşturur
+     * Örnek (form): "personel[name]=Mehmet&personel[surname]=Yılmaz"
+     * @param {string} url - Request URL'i
+     * @param {Array<{fieldData: Object, value: *, isMultiple: boolean}>} entries
+     * @returns {{url: string, method: string, headers: Object, body: string, credentials: string}}
+     */
+    buildBatchRequest(url, entries) {
+        const { method, methodOverride, format, credentials } = this.transport
 
         // Headers
         const headers = {
-            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Type': TRANSPORT_CONTENT_TYPES[format],
             'Accept': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest'
+            'X-Requested-With': 'XMLHttpRequest',
+            ...this.transport.headers
         }
 
         // CSRF token ekle (eğer varsa)
@@ -869,15 +4707,144 @@ class InlineEditManager {
             headers['X-CSRF-TOKEN'] = csrfToken
         }
 
-        // Fetch request (PATCH metodu)
-        const response = await fetch(url, {
-            method: 'PATCH',
+        // Versiyon token'ı (optimistic concurrency)
+        // Header modunda ilk versiyonlu field'ın token'ı kullanılır (aynı kaydın field'ları)
+        const headerVersion = entries.map(entry => entry.fieldData.version).find(version => version)
+        if (headerVersion && this.versioning.send === 'header') {
+            headers[this.versioning.header] = headerVersion
+        }
+
+        // Body'de gönderilecek versiyonlar (aynı path tekrar edilmez)
+        const bodyVersions = new Map()
+        if (this.versioning.send === 'body') {
+            entries.forEach(({ fieldData }) => {
+                if (fieldData.version) {
+                    bodyVersions.set(this.getVersionPath(fieldData.fieldPath), fieldData.version)
+                }
+            })
+        }
+
+        // Body'yi formata göre oluştur
+        let body
+        if (format === 'json' || format === 'merge-patch') {
+            const jsonBody = {}
+            entries.forEach(({ fieldData, value }) => {
+                this.setNestedValue(jsonBody, this.getJsonPathKeys(fieldData.fieldPath), value)
+            })
+            bodyVersions.forEach((version, versionPath) => {
+                this.setNestedValue(jsonBody, this.getJsonPathKeys(versionPath), version)
+            })
+            body = JSON.stringify(jsonBody)
+        } else if (format === 'json-patch') {
+            // "test" operasyonu versiyon eşleşmezse patch'in uygulanmasını engeller
+            const operations = []
+            bodyVersions.forEach((version, versionPath) => {
+                operations.push({ op: 'test', path: this.buildJsonPointer(versionPath), value: version })
+            })
+            entries.forEach(({ fieldData, value }) => {
+                operations.push(...this.buildJsonPatchBody(fieldData.fieldPath, value))
+            })
+            body = JSON.stringify(operations)
+        } else {
+            // Field path'lerini URL-encoded formatına çevir
+            const parts = entries.map(({ fieldData, value, isMultiple }) =>
+                this.buildUrlEncodedBody(fieldData.fieldPath, value, isMultiple)
+            )
+            bodyVersions.forEach((version, versionPath) => {
+                parts.push(this.buildUrlEncodedBody(versionPath, version))
+            })
+            body = parts.filter(part => part).join('&')
+        }
+
+        // Method override (örn. POST + _method=PATCH)
+        if (methodOverride) {
+            const overrideMethod = String(methodOverride).toUpperCase()
+            headers['X-HTTP-Method-Override'] = overrideMethod
+            if (format === 'form') {
+                body += `${body ? '&' : ''}_method=${encodeURIComponent(overrideMethod)}`
+            }
+        }
+
+        return {
+            url: url,
+            method: method,
             headers: headers,
             body: body,
-            credentials: 'same-origin'
+            credentials: credentials
+        }
+    }
+
+    /**
+     * Field path'i JSON key'lerine çevirir (transport ayarına göre form adı atlanabilir)
+     * Örnek: "personel.name" -> ["personel", "name"]
+     */
+    getJsonPathKeys(path) {
+        const keys = path ? path.split('.') : []
+        if (this.transport.stripFormName && keys.length > 1) {
+            keys.shift()
+        }
+        return keys.length ? keys : ['value']
+    }
+
+    /**
+     * Field path'i nested JSON objesine çevirir (JSON ve JSON Merge Patch için)
+     * Örnek: "personel.name" -> {"personel": {"name": "value"}}
+     */
+    buildJsonBody(path, value) {
+        const body = {}
+        this.setNestedValue(body, this.getJsonPathKeys(path), value)
+        return body
+    }
+
+    /**
+     * Nested objeye key path'ine göre değer yazar (ara objeleri oluşturur)
+     */
+    setNestedValue(target, keys, value) {
+        let current = target
+        keys.forEach((key, index) => {
+            if (index === keys.length - 1) {
+                current[key] = value
+            } else {
+                if (!current[key] || typeof current[key] !== 'object') {
+                    current[key] = {}
+                }
+                current = current[key]
+            }
         })
+        return target
+    }
+
+    /**
+     * Versiyon field'ının path'ini döner (field path'in son parçası versioning.field ile değişir)
+     * Örnek: "personel.name" -> "personel.version"
+     */
+    getVersionPath(fieldPath) {
+        const keys = fieldPath ? fieldPath.split('.') : []
+        keys[Math.max(keys.length - 1, 0)] = this.versioning.field
+        return keys.join('.')
+    }
+
+    /**
+     * Field path'i JSON Pointer'a (RFC 6901) çevirir
+     * Örnek: "personel.name" -> "/personel/name"
+     */
+    buildJsonPointer(path) {
+        // JSON Pointer escape: "~" -> "~0", "/" -> "~1"
+        const pointer = this.getJsonPathKeys(path)
+            .map(key => key.replace(/~/g, '~0').replace(/\//g, '~1'))
+            .join('/')
+
+        return `/${pointer}`
+    }
 
-        return response
+    /**
+     * Field path'i JSON Patch (RFC 6902) operasyonuna çevirir
+     * Örnek: "personel.name" -> [{"op": "replace", "path": "/personel/name", "value": "value"}]
+     */
+    buildJsonPatchBody(path, value) {
+        return [
+            { op: 'replace', path: this.buildJsonPointer(path), value: value }
+        ]
     }
 
     /**
@@ -886,6 +4853,14 @@ class InlineEditManager {
      * Örnek (multiple): "personel.departmanlar" -> "personel[departmanlar][]=value1&personel[departmanlar][]=value2"
      */
     buildUrlEncodedBody(path, value, isMultiple = false) {
+        // Boolean değerler (checkbox): 1/0, 'omit' modunda false hiç gönderilmez
+        if (typeof value === 'boolean') {
+            if (!value && this.transport.booleans === 'omit') {
+                return ''
+            }
+            value = value ? '1' : '0'
+        }
+
         if (!path) {
             if (Array.isArray(value)) {
                 return this.buildArrayQueryString('value', value)
@@ -920,6 +4895,16 @@ class InlineEditManager {
         const contentType = response.headers.get('Content-Type')
         const isJson = contentType && contentType.includes('application/json')
 
+        // Versiyon çakışması (409/412) - conflict UI göster
+        const fieldData = this.getFieldData(fieldElement)
+
+        if (this.isConflictResponse(response, fieldData)) {
+            const conflictData = isJson ? await response.json().catch(() => ({})) : {}
+            this.setLoadingState(fieldElement, false)
+            this.showConflict(fieldElement, response, conflictData, newValue, displayValue)
+            return
+        }
+
         if (!isJson) {
             throw new Error('Response JSON değil')
         }
@@ -927,21 +4912,35 @@ class InlineEditManager {
         const data = await response.json()
 
         if (response.ok && response.status === 200) {
-            // Başarılı - gönderilen veriyi ekrana bas
-            this.updateDOM(newValue, fieldElement, displayValue)
+            // Versiyon token'ını güncelle (ETag header'ı veya response'daki version)
+            this.updateVersion(fieldElement, this.getResponseVersion(response, data))
+
+            // Sunucu normalize edilmiş value / render edilmiş displayValue-displayHtml döndüyse onları kullan
+            const display = this.resolveServerDisplay(data, fieldElement, newValue, displayValue)
+
+            // Undo geçmişine ekle (DOM güncellenmeden önceki değerlerle)
+            this.recordHistory(fieldElement, {
+                oldValue: fieldData?.originalValue ?? fieldElement.dataset.inlineEditValue,
+                oldDisplayValue: this.getDisplayText(fieldElement),
+                oldDisplayHtml: this.getDisplayHtml(fieldElement),
+                newValue: display.value,
+                displayValue: display.displayValue,
+                displayHtml: display.displayHtml,
+                isMultiple: Array.isArray(newValue)
+            })
+
+            // Başarılı - sunucunun döndüğü veya gönderilen veriyi ekrana bas
+            this.updateDOM(display.value, fieldElement, display.displayValue, display.displayHtml)
             this.closeEditMode(fieldElement, 'saved')
 
             // Success notification
-            const message = data.message || 'Field başarıyla güncellendi.'
-            if (window.flashNotification) {
-                window.flashNotification.success(message)
-            }
+            this.notifySaved(data.message || this.t('save.success'))
 
             // Form element'ini bul (saved event için)
             const editMode = fieldElement.dataset.inlineEditMode || 'inline'
             let formElement = null
-            if (editMode === 'popup') {
-                const popoverElement = document.querySelector('.popover')
+            if (this.isDetachedMode(editMode)) {
+                const popoverElement = this.getPopoverElement(fieldElement)
                 if (popoverElement) {
                     formElement = popoverElement.querySelector('[data-inline-edit-input]')
                 }
@@ -955,10 +4954,11 @@ class InlineEditManager {
             // Event emit: saved (save başarılı)
             this.emit('saved', {
                 field: fieldElement,
-                fieldData: this.activeFieldData,
+                fieldData: fieldData,
                 formElement: formElement,
-                value: newValue,
-                displayValue: displayValue,
+                value: display.value,
+                displayValue: display.displayValue,
+                displayHtml: display.displayHtml,
                 response: data
             })
         } else {
@@ -974,15 +4974,13 @@ class InlineEditManager {
             // Kullanıcı hatayı düzeltebilsin
 
             // Error notification
-            if (window.flashNotification) {
-                window.flashNotification.error(errorMessage)
-            }
+            this.notify('error', 'error', errorMessage)
 
             // Form element'ini bul (error event için)
             const editMode = fieldElement.dataset.inlineEditMode || 'inline'
             let formElement = null
-            if (editMode === 'popup') {
-                const popoverElement = document.querySelector('.popover')
+            if (this.isDetachedMode(editMode)) {
+                const popoverElement = this.getPopoverElement(fieldElement)
                 if (popoverElement) {
                     formElement = popoverElement.querySelector('[data-inline-edit-input]')
                 }
@@ -996,7 +4994,7 @@ class InlineEditManager {
             // Event emit: error (save hatası)
             this.emit('error', {
                 field: fieldElement,
-                fieldData: this.activeFieldData,
+                fieldData: fieldData,
                 formElement: formElement,
                 error: errorMessage,
                 action: 'save',
@@ -1009,33 +5007,42 @@ class InlineEditManager {
      * Edit mode'u kapatır ve temizlik yapar
      */
     closeEditMode(fieldElement, reason = 'closed') {
+        const fieldData = this.getFieldData(fieldElement)
+
+        // Form element'ini bul (closed event için - popover dispose edilmeden / edit mode temizlenmeden önce)
+        const formElement = this.getFormElement(fieldElement)
+
+        // Focus edit mode içindeyse (veya save sırasında oradaydıysa) kapandıktan sonra trigger'a döner
+        const restoreFocus = !!this.getEditorElement(fieldElement)?.contains(document.activeElement)
+            || !!fieldData?.hadFocus
+
+        // Custom field type'ın editor'ünü temizle (DOM'dan kaldırılmadan önce)
+        const fieldType = this.getFieldType(fieldElement)
+        if (formElement && fieldType?.destroy) {
+            try {
+                fieldType.destroy(formElement, this.getTypeContext(fieldElement))
+            } catch (error) {
+                console.warn('Field type destroy error:', error)
+            }
+        }
+
         // Click outside listener'ı kaldır
-        if (this.boundHandleClickOutside) {
-            document.removeEventListener('click', this.boundHandleClickOutside, true)
-            this.boundHandleClickOutside = null
+        this.removeClickOutsideListener(fieldData)
+
+        // Devam eden remote options araması varsa iptal et
+        this.destroyRemoteOptions(fieldData)
+
+        // Combobox UI'ını kaldır (popover HTML'i template'e geri yazılırken select temiz kalsın)
+        if (formElement) {
+            this.destroyCombobox(formElement)
         }
 
         const editMode = fieldElement.dataset.inlineEditMode || 'inline'
 
         // Popover modu için özel işlem
-        if (editMode === 'popup') {
+        if (this.isDetachedMode(editMode)) {
             // Popover instance'ı dispose et (sadece hala geçerliyse)
-            if (fieldElement._popoverInstance) {
-                try {
-                    // Popover instance'ının hala geçerli olduğunu kontrol et
-                    const triggerButton = fieldElement.querySelector('[data-inline-edit-enable]')
-                    if (triggerButton) {
-                        const instance = bootstrap.Popover.getInstance(triggerButton)
-                        if (instance === fieldElement._popoverInstance) {
-                            fieldElement._popoverInstance.dispose()
-                        }
-                    }
-                } catch (error) {
-                    console.warn('Popover dispose error:', error)
-                } finally {
-                    fieldElement._popoverInstance = null
-                }
-            }
+            this.disposePopover(fieldElement)
         } else {
             // Inline modu için read mode ve edit mode geçişi
             const readMode = fieldElement.querySelector('[data-inline-edit-read-mode]')
@@ -1057,32 +5064,24 @@ class InlineEditManager {
         // Loading state'i temizle
         this.setLoadingState(fieldElement, false)
 
-        // Form element'ini bul (closed event için - kapanmadan önce)
-        const editModeForClosed = fieldElement.dataset.inlineEditMode || 'inline'
-        let formElement = null
-        if (editModeForClosed === 'popup') {
-            // Popover kapanmadan önce form element'ini bul
-            const popoverElement = document.querySelector('.popover')
-            if (popoverElement) {
-                formElement = popoverElement.querySelector('[data-inline-edit-input]')
-            }
-        } else {
-            const editModeElement = fieldElement.querySelector('[data-inline-edit-edit-mode]')
-            if (editModeElement && !editModeElement.classList.contains('d-none')) {
-                formElement = editModeElement.querySelector('[data-inline-edit-input]')
-            }
+        // Aktif field'ı temizle
+        this.activeFields.delete(fieldElement)
+
+        // Grubun son açık field'ı kapandıysa grup aksiyonlarını gizle
+        const groupElement = this.getGroupElement(fieldElement)
+        if (groupElement && !this.getGroupFields(groupElement).some(field => this.isActive(field))) {
+            this.toggleGroupActions(groupElement, false)
         }
 
-        // Aktif field'ı temizle
-        if (this.activeField === fieldElement) {
-            this.activeField = null
-            this.activeFieldData = null
+        this.setExpanded(fieldElement, false)
+        if (restoreFocus) {
+            this.getFocusReturnTarget(fieldElement)?.focus()
         }
 
         // Event emit: closed
         this.emit('closed', {
             field: fieldElement,
-            fieldData: this.activeFieldData,
+            fieldData: fieldData,
             formElement: formElement,
             reason: reason
         })
@@ -1091,18 +5090,26 @@ class InlineEditManager {
     /**
      * DOM'u günceller (başarılı response sonrası)
      */
-    updateDOM(value, fieldElement, providedDisplayValue = null) {
+    updateDOM(value, fieldElement, providedDisplayValue = null, displayHtml = null) {
         // HTML type'ı kontrol et (date için format değiştir)
         const htmlType = fieldElement.dataset.inlineEditHtmlType || 'text'
         let displayValue = providedDisplayValue !== null ? providedDisplayValue : value
 
         // Display value'yu formatla
         if (providedDisplayValue === null) {
-            displayValue = this.formatDisplayValue(value, htmlType)
+            displayValue = this.formatDisplayValue(value, htmlType, fieldElement)
         }
 
-        // Editable target'ı güncelle
-        this.updateEditableElement(fieldElement, displayValue)
+        // Editable target'ı güncelle (sunucunun render ettiği HTML varsa o kullanılır)
+        // HTML üreten field type'larda sadece type'ın kendi format() çıktısı HTML olarak yazılır;
+        // dışarıdan gelen displayValue (save response'u, conflict'teki currentDisplayValue) her zaman text'tir
+        if (displayHtml !== null) {
+            this.updateEditableElement(fieldElement, displayHtml, true)
+        } else {
+            const fieldType = this.getFieldType(fieldElement)
+            const isTypeHtml = providedDisplayValue === null && !!fieldType?.html && typeof fieldType.format === 'function'
+            this.updateEditableElement(fieldElement, displayValue, isTypeHtml)
+        }
 
         // Original value'yu güncelle
         this.updateFieldValue(fieldElement, value)
@@ -1118,7 +5125,7 @@ class InlineEditManager {
             // Input'u bul ve değeri güncelle
             const input = tempDiv.querySelector('[data-inline-edit-input]')
             if (input) {
-                this.setInputValue(input, value)
+                this.setInputValue(input, value, fieldElement)
                 
                 // Select elementleri için selected attribute'larını ekle
                 if (input.tagName === 'SELECT') {
@@ -1143,7 +5150,7 @@ class InlineEditManager {
             if (editModeElement && !editModeElement.classList.contains('d-none')) {
                 const input = editModeElement.querySelector('[data-inline-edit-input]')
                 if (input) {
-                    this.setInputValue(input, value)
+                    this.setInputValue(input, value, fieldElement)
                 }
             }
         }
@@ -1156,8 +5163,8 @@ class InlineEditManager {
         const editMode = fieldElement.dataset.inlineEditMode || 'inline'
         
         // Popover modu için popover içindeki elementleri bul
-        if (editMode === 'popup') {
-            const popoverElement = document.querySelector('.popover')
+        if (this.isDetachedMode(editMode)) {
+            const popoverElement = this.getPopoverElement(fieldElement)
             if (popoverElement) {
                 const errorMessage = popoverElement.querySelector('[data-inline-edit-error]')
                 if (errorMessage) {
@@ -1168,6 +5175,7 @@ class InlineEditManager {
                 const input = popoverElement.querySelector('[data-inline-edit-input]')
                 if (input) {
                     input.classList.add('is-invalid')
+                    this.setInvalidState(fieldElement, input, errorMessage, true)
                 }
             }
         } else {
@@ -1181,8 +5189,11 @@ class InlineEditManager {
             const input = fieldElement.querySelector('[data-inline-edit-input]')
             if (input) {
                 input.classList.add('is-invalid')
+                this.setInvalidState(fieldElement, input, errorMessage, true)
             }
         }
+
+        this.announce(message, 'assertive')
     }
 
     /**
@@ -1192,8 +5203,8 @@ class InlineEditManager {
         const editMode = fieldElement.dataset.inlineEditMode || 'inline'
         
         // Popover modu için popover içindeki elementleri bul
-        if (editMode === 'popup') {
-            const popoverElement = document.querySelector('.popover')
+        if (this.isDetachedMode(editMode)) {
+            const popoverElement = this.getPopoverElement(fieldElement)
             if (popoverElement) {
                 const errorMessage = popoverElement.querySelector('[data-inline-edit-error]')
                 if (errorMessage) {
@@ -1204,7 +5215,10 @@ class InlineEditManager {
                 const input = popoverElement.querySelector('[data-inline-edit-input]')
                 if (input) {
                     input.classList.remove('is-invalid')
+                    this.setInvalidState(fieldElement, input, errorMessage, false)
                 }
+
+                popoverElement.querySelector('[data-inline-edit-conflict]')?.remove()
             }
         } else {
             // Inline modu için mevcut işlem
@@ -1217,7 +5231,10 @@ class InlineEditManager {
             const input = fieldElement.querySelector('[data-inline-edit-input]')
             if (input) {
                 input.classList.remove('is-invalid')
+                this.setInvalidState(fieldElement, input, errorMessage, false)
             }
+
+            fieldElement.querySelector('[data-inline-edit-conflict]')?.remove()
         }
     }
 
@@ -1226,10 +5243,23 @@ class InlineEditManager {
      */
     setLoadingState(fieldElement, isLoading) {
         const editMode = fieldElement.dataset.inlineEditMode || 'inline'
+
+        // Input disable edilince focus kaybolur; kapanışta trigger'a dönebilmek için hatırla
+        const fieldData = this.getFieldData(fieldElement)
+        if (isLoading && fieldData && this.getEditorElement(fieldElement)?.contains(document.activeElement)) {
+            fieldData.hadFocus = true
+        }
+        const shouldRefocus = !isLoading && !!fieldData?.hadFocus
+        if (isLoading) {
+            fieldElement.setAttribute('aria-busy', 'true')
+            this.announce(this.t('save.saving'))
+        } else {
+            fieldElement.removeAttribute('aria-busy')
+        }
         
         // Popover modu için popover içindeki elementleri bul
-        if (editMode === 'popup') {
-            const popoverElement = document.querySelector('.popover')
+        if (this.isDetachedMode(editMode)) {
+            const popoverElement = this.getPopoverElement(fieldElement)
             if (popoverElement) {
                 const input = popoverElement.querySelector('[data-inline-edit-input]')
                 if (input) {
@@ -1240,16 +5270,13 @@ class InlineEditManager {
                 if (saveButton) {
                     saveButton.disabled = isLoading
                     if (isLoading) {
-                        saveButton.innerHTML = '<span class="spinner-border spinner-border-sm"></span>'
+                        saveButton.innerHTML = '<span class="spinner-border spinner-border-sm" aria-hidden="true"></span>'
                     } else {
-                        saveButton.innerHTML = '<i class="ri-check-line"></i>'
+                        saveButton.innerHTML = '<i class="ri-check-line" aria-hidden="true"></i>'
                     }
                 }
 
-                const cancelButton = popoverElement.querySelector('[data-inline-edit-cancel]')
-                if (cancelButton) {
-                    cancelButton.disabled = isLoading
-                }
+                // Cancel butonu disable edilmez - pending request'i iptal etmek için kullanılır
             }
         } else {
             // Inline modu için mevcut işlem
@@ -1262,15 +5289,21 @@ class InlineEditManager {
             if (saveButton) {
                 saveButton.disabled = isLoading
                 if (isLoading) {
-                    saveButton.innerHTML = '<span class="spinner-border spinner-border-sm"></span>'
+                    saveButton.innerHTML = '<span class="spinner-border spinner-border-sm" aria-hidden="true"></span>'
                 } else {
-                    saveButton.innerHTML = '<i class="ri-check-line"></i>'
+                    saveButton.innerHTML = '<i class="ri-check-line" aria-hidden="true"></i>'
                 }
             }
 
-            const cancelButton = fieldElement.querySelector('[data-inline-edit-cancel]')
-            if (cancelButton) {
-                cancelButton.disabled = isLoading
+            // Cancel butonu disable edilmez - pending request'i iptal etmek için kullanılır
+        }
+
+        // Hata sonrası field açık kaldıysa focus tekrar input'a verilir
+        if (shouldRefocus) {
+            fieldData.hadFocus = false
+            const formElement = this.getFormElement(fieldElement)
+            if (formElement) {
+                this.focusInput(fieldElement, formElement, false)
             }
         }
     }
@@ -1303,7 +5336,7 @@ class InlineEditManager {
         }
         
         // 4. Fallback
-        return 'Bir hata oluştu. Lütfen tekrar deneyin.'
+        return this.t('error.generic')
     }
 
     /**
@@ -1347,6 +5380,10 @@ class InlineEditManager {
      * Değeri karşılaştırma için normalize eder
      */
     normalizeValueForComparison(value) {
+        // Boolean (checkbox) değerler data attribute'taki '1'/'0' ile karşılaştırılır
+        if (typeof value === 'boolean') {
+            return value ? '1' : '0'
+        }
         if (Array.isArray(value)) {
             return value.join(',')
         }
@@ -1359,7 +5396,13 @@ class InlineEditManager {
     /**
      * Display value'yu formatlar
      */
-    formatDisplayValue(value, htmlType) {
+    formatDisplayValue(value, htmlType, fieldElement = null) {
+        // Custom field type'ın formatter'ı
+        const fieldType = this.getFieldType(fieldElement)
+        if (fieldType?.format) {
+            return fieldType.format(value, this.getTypeContext(fieldElement))
+        }
+
         let displayValue = value
 
         // Array değerler için string'e çevir
@@ -1367,26 +5410,163 @@ class InlineEditManager {
             displayValue = value.join(',')
         }
 
-        // Date formatı: YYYY-MM-DD -> DD.MM.YYYY
-        if (htmlType === 'date' && displayValue && !Array.isArray(displayValue)) {
-            try {
-                const dateMatch = String(displayValue).match(/^(\d{4})-(\d{2})-(\d{2})$/)
-                if (dateMatch) {
-                    const [, year, month, day] = dateMatch
-                    displayValue = `${day}.${month}.${year}`
-                }
-            } catch (e) {
-                // Date parse hatası, original value'yu kullan
+        // Locale'e göre tarih / sayı / para formatı (data-inline-edit-format veya html type'a göre)
+        if (!Array.isArray(value) && displayValue !== '' && displayValue !== null && displayValue !== undefined) {
+            const customFormat = fieldElement?.dataset?.inlineEditFormat
+            const format = customFormat ? (HTML_TYPE_FORMATS[customFormat] || customFormat) : HTML_TYPE_FORMATS[htmlType]
+            if (format) {
+                displayValue = this.formatLocaleValue(displayValue, format, fieldElement)
             }
         }
 
         return displayValue
     }
 
+    /**
+     * Mesaj key'ini manager'ın dilinde döner, {name} placeholder'larını params ile doldurur
+     * Arama sırası: messages override'ı ve MESSAGES'ta önce tam dil (en-GB), sonra ana dil (en),
+     * sonra fallbackLanguage; hiçbirinde yoksa key'in kendisi döner.
+     * @param {string} key - MESSAGES key'i, örn. 'save.error'
+     * @param {Object} params - Placeholder değerleri, örn. {max: 10}
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const language = String(this.language
+            || this.locale
+            || document.documentElement.lang
+            || navigator.language
+            || this.fallbackLanguage).toLowerCase().replace('_', '-')
+        const languages = [language, language.split('-')[0], this.fallbackLanguage.toLowerCase()]
+
+        let message = key
+        for (const lang of languages) {
+            const candidate = this.messages[lang]?.[key] ?? MESSAGES[lang]?.[key]
+            if (candidate !== undefined) {
+                message = candidate
+                break
+            }
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match)
+    }
+
+    /**
+     * Değeri Intl ile formatlar, parse edilemeyen değerler olduğu gibi döner
+     * @param {string} format - DEFAULT_FORMATS key'lerinden biri
+     */
+    formatLocaleValue(value, format, fieldElement = null) {
+        const options = this.getFormatOptions(format, fieldElement)
+        const locale = fieldElement?.dataset?.inlineEditLocale
+            || this.locale
+            || document.documentElement.lang
+            || navigator.language
+            || undefined
+
+        try {
+            if (format === 'tel') {
+                return this.formatPhone(String(value), options.pattern)
+            }
+
+            if (['date', 'datetime', 'time', 'month'].includes(format)) {
+                const date = this.parseDateValue(String(value), format)
+                return date ? this.getFormatter('DateTimeFormat', locale, options).format(date) : value
+            }
+
+            if (['number', 'currency', 'percent'].includes(format)) {
+                const number = Number(value)
+                return Number.isFinite(number) ? this.getFormatter('NumberFormat', locale, options).format(number) : value
+            }
+        } catch (error) {
+            // Geçersiz locale / Intl options: değer formatlanmadan gösterilir
+            console.warn('Display format error:', error)
+        }
+
+        return value
+    }
+
+    /**
+     * Format'ın Intl options'ı: DEFAULT_FORMATS < manager `formats` option'ı < data-inline-edit-format-options (JSON)
+     * Intl currency stilinde para birimi kodu zorunludur; currency verilmemişse stil uygulanmaz, tutar 2 ondalıklı
+     * sayı olarak formatlanır (sayfanın para birimi tahmin edilmez).
+     */
+    getFormatOptions(format, fieldElement = null) {
+        let fieldOptions = {}
+        const json = fieldElement?.dataset?.inlineEditFormatOptions
+        if (json) {
+            try {
+                fieldOptions = JSON.parse(json)
+            } catch (error) {
+                console.warn('Invalid data-inline-edit-format-options:', json)
+            }
+        }
+
+        const options = { ...(DEFAULT_FORMATS[format] || {}), ...(this.formats[format] || {}), ...fieldOptions }
+
+        if (format === 'currency' && options.style === 'currency' && !options.currency) {
+            const { style, ...numberOptions } = options
+            return { minimumFractionDigits: 2, maximumFractionDigits: 2, ...numberOptions }
+        }
+
+        return options
+    }
+
+    /**
+     * Intl formatter'ını cache'ten döner (her save'de yeniden oluşturulmasın)
+     * @param {string} kind - 'DateTimeFormat' veya 'NumberFormat'
+     */
+    getFormatter(kind, locale, options) {
+        const key = `${kind}|${locale}|${JSON.stringify(options)}`
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl[kind](locale, options))
+        }
+        return this.formatters.get(key)
+    }
+
+    /**
+     * Input değerini (date, datetime-local, time, month formatında) local Date'e çevirir
+     * UTC'ye çevrilmez, saat dilimi farkı tarihi bir gün kaydırmasın.
+     */
+    parseDateValue(value, format) {
+        const patterns = {
+            date: /^(\d{4})-(\d{2})-(\d{2})$/,
+            datetime: /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/,
+            month: /^(\d{4})-(\d{2})$/,
+            time: /^(\d{2}):(\d{2})(?::(\d{2}))?$/
+        }
+        const match = value.trim().match(patterns[format])
+        if (!match) {
+            return null
+        }
+
+        const parts = match.slice(1).map(part => Number(part || 0))
+        const date = format === 'time'
+            ? new Date(1970, 0, 1, parts[0], parts[1], parts[2])
+            : new Date(parts[0], parts[1] - 1, parts[2] || 1, parts[3] || 0, parts[4] || 0, parts[5] || 0)
+
+        // Taşan değerler (örn. 2026-13-45) Date tarafından sonraki aya kaydırılır, geçersiz sayılır
+        if (Number.isNaN(date.getTime()) || (format !== 'time' && date.getMonth() !== parts[1] - 1)) {
+            return null
+        }
+        return date
+    }
+
+    /**
+     * Telefon numarasını pattern'e göre formatlar ('#' = rakam), pattern yoksa değer olduğu gibi döner
+     */
+    formatPhone(value, pattern = null) {
+        const digits = value.replace(/\D/g, '')
+        if (!pattern || digits.length !== (pattern.match(/#/g) || []).length) {
+            return value
+        }
+
+        let index = 0
+        return pattern.replace(/#/g, () => digits[index++])
+    }
+
     /**
      * Editable element'i günceller
      */
-    updateEditableElement(fieldElement, displayValue) {
+    updateEditableElement(fieldElement, displayValue, isHtml = false) {
         const editable = fieldElement.querySelector('[data-inline-edit-editable]')
         if (!editable) {
             return
@@ -1400,32 +5580,61 @@ class InlineEditManager {
         } else {
             textValue = '-'
         }
-        editable.textContent = textValue
+
+        // Sadece sanitize edilmiş sunucu HTML'i ve field type'ın format() çıktısı (örn. checkbox label ikonları) için innerHTML
+        if (isHtml) {
+            editable.innerHTML = textValue
+        } else {
+            editable.textContent = textValue
+        }
+    }
+
+    /**
+     * Field'ın sayfadaki (son kaydedilen) değerini data attribute'tan okur, multiple field'larda array döner
+     */
+    getCommittedValue(fieldElement) {
+        const value = fieldElement.dataset.inlineEditValue ?? ''
+        if (fieldElement.dataset.inlineEditMultiple === 'true') {
+            return value === '' ? [] : value.split(',')
+        }
+        return value
     }
 
     /**
-     * Field value'yu günceller (data attribute ve activeFieldData)
+     * Field value'yu günceller (data attribute ve aktif field data'sı)
      */
     updateFieldValue(fieldElement, value) {
-        if (!this.activeFieldData) {
-            return
+        const fieldData = this.getFieldData(fieldElement)
+        if (fieldData) {
+            fieldData.originalValue = value
         }
 
-        this.activeFieldData.originalValue = value
-        const valueForAttribute = Array.isArray(value) ? value.join(',') : value
+        let valueForAttribute = Array.isArray(value) ? value.join(',') : value
+        if (typeof value === 'boolean') {
+            valueForAttribute = value ? '1' : '0'
+        }
         fieldElement.dataset.inlineEditValue = valueForAttribute
     }
 
     /**
      * Input element'ine değeri set eder (select, input, textarea desteği)
      */
-    setInputValue(input, value) {
+    setInputValue(input, value, fieldElement = null) {
+        // Custom field type (template içindeki henüz DOM'da olmayan input için de çağrılabilir)
+        const fieldType = this.getFieldType(fieldElement)
+        if (fieldType?.setValue) {
+            fieldType.setValue(input, value, this.getTypeContext(fieldElement))
+            return
+        }
+
         if (input.tagName === 'SELECT') {
             const isMultiple = input.hasAttribute('multiple')
             
             // Önce tüm option'ları seçili olmaktan çıkar
+            // (attribute da güncellenir, popover content'i HTML string olarak kopyalandığında seçim kaybolmasın)
             Array.from(input.options).forEach(option => {
                 option.selected = false
+                option.removeAttribute('selected')
             })
             
             if (value) {
@@ -1439,9 +5648,12 @@ class InlineEditManager {
                     const option = Array.from(input.options).find(opt => opt.value === val)
                     if (option) {
                         option.selected = true
+                        option.setAttribute('selected', 'selected')
                     }
                 })
             }
+
+            this.comboboxes.get(input)?.render()
         } else {
             // Input veya textarea için normal value set
             input.value = value
@@ -1459,7 +5671,20 @@ class InlineEditManager {
     /**
      * Input element'inden değeri alır (select, input, textarea desteği)
      */
-    getInputValue(input) {
+    getInputValue(input, fieldElement = null) {
+        // Custom field type - görüntülenecek değer format() ile üretilir
+        // (HTML üreten type'larda null döner, read view updateDOM'da format() ile HTML olarak yazılır)
+        const fieldType = this.getFieldType(fieldElement)
+        if (fieldType?.getValue) {
+            const context = this.getTypeContext(fieldElement)
+            const value = fieldType.getValue(input, context)
+            return {
+                value: value,
+                isMultiple: Array.isArray(value),
+                selectedTexts: fieldType.format && !fieldType.html ? fieldType.format(value, context) : null
+            }
+        }
+
         if (input.tagName === 'SELECT') {
             const isMultiple = input.hasAttribute('multiple')
             
@@ -4,6 +4,7 @@ namespace Vrl\InlineEditableBundle\DependencyInjection;
 
 use Symfony\Component\Config\Definition\Builder\TreeBuilder;
 use Symfony\Component\Config\Definition\ConfigurationInterface;
+use Vrl\InlineEditableBundle\Twig\InlineEditableRuntime;
 
 class Configuration implements ConfigurationInterface
 {
@@ -15,12 +16,19 @@ class Configuration implements ConfigurationInterface
             ->children()
                 ->scalarNode('edit_mode')
                     ->defaultValue('inline')
-                    ->info('Edit mode: "inline" (default) or "popup" (popover style)')
+                    ->info('Edit mode: "inline" (default), "popup" (popover style), "modal" (dialog) or "offcanvas" (drawer)')
                     ->validate()
-                        ->ifNotInArray(['inline', 'popup'])
-                        ->thenInvalid('Invalid edit_mode. Must be "inline" or "popup".')
+                        ->ifNotInArray(InlineEditableRuntime::EDIT_MODES)
+                        ->thenInvalid('Invalid edit_mode. Must be "inline", "popup", "modal" or "offcanvas".')
                     ->end()
                 ->end()
+                ->arrayNode('types')
+                    ->useAttributeAsKey('name')
+                    ->defaultValue([])
+                    ->prototype('scalar')->end()
+                    ->info('Custom field types: data-inline-edit-input-type name => template path (rendered with inline_edit_field())')
+                    ->example(['rating' => 'inline_edit/rating.html.twig'])
+                ->end()
                 ->arrayNode('themes')
                     ->defaultValue([])
                     ->prototype('scalar')->end()
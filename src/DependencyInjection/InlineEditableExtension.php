@@ -19,6 +19,9 @@ class InlineEditableExtension extends Extension implements PrependExtensionInter
         // Edit mode'u parameter olarak container'a ekle
         $container->setParameter('inline_editable.edit_mode', $config['edit_mode'] ?? 'inline');
         
+        // Custom field type template'lerini parameter olarak container'a ekle
+        $container->setParameter('inline_editable.types', $config['types'] ?? []);
+
         // Themes'i parameter olarak container'a ekle
         $container->setParameter('inline_editable.themes', $config['themes'] ?? []);
 
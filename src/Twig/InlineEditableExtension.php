@@ -16,9 +16,18 @@ class InlineEditableExtension extends AbstractExtension
             new TwigFunction('inline_edit_textarea', [InlineEditableRuntime::class, 'renderTextarea'], [
                 'is_safe' => ['html'],
             ]),
+            new TwigFunction('inline_edit_checkbox', [InlineEditableRuntime::class, 'renderCheckbox'], [
+                'is_safe' => ['html'],
+            ]),
+            new TwigFunction('inline_edit_radio', [InlineEditableRuntime::class, 'renderRadio'], [
+                'is_safe' => ['html'],
+            ]),
             new TwigFunction('inline_edit_select', [InlineEditableRuntime::class, 'renderSelect'], [
                 'is_safe' => ['html'],
             ]),
+            new TwigFunction('inline_edit_field', [InlineEditableRuntime::class, 'renderType'], [
+                'is_safe' => ['html'],
+            ]),
         ];
     }
 
@@ -2,15 +2,28 @@
 
 namespace Vrl\InlineEditableBundle\Twig;
 
+use Symfony\Contracts\Translation\TranslatorInterface;
 use Twig\Environment;
 use Twig\Extension\RuntimeExtensionInterface;
 
 class InlineEditableRuntime implements RuntimeExtensionInterface
 {
+    /**
+     * Desteklenen edit mode'lar (bundle config'i ve field bazında editMode için)
+     */
+    public const EDIT_MODES = ['inline', 'popup', 'modal', 'offcanvas'];
+
+    /**
+     * Bundle'ın built-in metinlerinin çeviri domain'i (translations/InlineEditable.<locale>.yaml)
+     */
+    public const TRANSLATION_DOMAIN = 'InlineEditable';
+
     public function __construct(
         private Environment $twig,
+        private TranslatorInterface $translator,
         private array $themes = [],
-        private string $editMode = 'inline'
+        private string $editMode = 'inline',
+        private array $types = []
     ) {
 
     }
@@ -25,6 +38,19 @@ class InlineEditableRuntime implements RuntimeExtensionInterface
         return $this->renderField('textarea', $config, [$this, 'normalizeTextareaConfig']);
     }
 
+    public function renderCheckbox(array $config): string
+    {
+        return $this->renderField('checkbox', $config, [$this, 'normalizeCheckboxConfig']);
+    }
+
+    public function renderRadio(array $config): string
+    {
+        $normalizedConfig = $this->normalizeRadioConfig($config);
+        $this->validateSelectConfig($normalizedConfig);
+
+        return $this->renderField('radio', $normalizedConfig);
+    }
+
     public function renderSelect(array $config): string
     {
         $normalizedConfig = $this->normalizeSelectConfig($config);
@@ -33,6 +59,26 @@ class InlineEditableRuntime implements RuntimeExtensionInterface
         return $this->renderField('select', $normalizedConfig);
     }
 
+    /**
+     * Type adına göre field render eder (built-in veya inline_editable.types ile kaydedilen custom type)
+     * Custom type'ın JS tarafı InlineEditManager.registerType ile aynı adla kaydedilmelidir.
+     */
+    public function renderType(string $type, array $config): string
+    {
+        return match ($type) {
+            'input' => $this->renderInput($config),
+            'textarea' => $this->renderTextarea($config),
+            'select' => $this->renderSelect($config),
+            'checkbox' => $this->renderCheckbox($config),
+            'radio' => $this->renderRadio($config),
+            default => $this->renderField(
+                $type,
+                $config,
+                fn (array $config): array => $this->normalizeCustomTypeConfig($config, $type)
+            ),
+        };
+    }
+
     /**
      * Ortak render metodu - kod tekrarını önler
      */
@@ -44,14 +90,34 @@ class InlineEditableRuntime implements RuntimeExtensionInterface
         
         $template = $this->resolveTemplate($type);
         
-        // Edit mode'u config'e ekle
-        $config['editMode'] = $this->editMode;
+        // Edit mode'u config'e ekle (field bazında verilen editMode global ayarı ezer)
+        $config['editMode'] = $this->resolveEditMode($config['editMode'] ?? null);
         
         return $this->twig->render($template, [
             'config' => $config,
         ]);
     }
 
+    /**
+     * Field'ın edit mode'unu belirler: field config'indeki editMode yoksa bundle-wide edit_mode kullanılır
+     */
+    private function resolveEditMode(?string $editMode): string
+    {
+        if ($editMode === null || $editMode === '') {
+            return $this->editMode;
+        }
+
+        if (!in_array($editMode, self::EDIT_MODES, true)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Invalid editMode "%s". Must be one of: %s',
+                $editMode,
+                implode(', ', self::EDIT_MODES)
+            ));
+        }
+
+        return $editMode;
+    }
+
     /**
      * Select config validasyonu
      */
@@ -93,6 +159,14 @@ class InlineEditableRuntime implements RuntimeExtensionInterface
             'displayValue' => $config['displayValue'] ?? ($config['value'] ?? ''),
             'editable' => $config['editable'] ?? true,
             'attr' => $config['attr'] ?? [],
+            'version' => $config['version'] ?? null,
+            'validate' => $config['validate'] ?? null,
+            // Erişilebilir isim: edit butonu "Düzenle: <label>", input aria-label
+            'label' => $config['label'] ?? null,
+            // Save sonrası client-side display formatı (Intl): date, datetime (datetime-local), time, month, number, currency, percent, tel
+            'format' => $config['format'] ?? null,
+            'locale' => $config['locale'] ?? null,
+            'format_options' => $config['format_options'] ?? [],
         ], $config);
     }
 
@@ -132,6 +206,61 @@ class InlineEditableRuntime implements RuntimeExtensionInterface
         ]);
     }
 
+    /**
+     * Checkbox config'i normalize eder (base + checkbox-specific)
+     * Değer '1'/'0' olarak render edilir, read mode'da labels.true / labels.false gösterilir (HTML olabilir).
+     */
+    private function normalizeCheckboxConfig(array $config): array
+    {
+        $checked = filter_var($config['value'] ?? false, FILTER_VALIDATE_BOOLEAN);
+        $labels = array_merge([
+            'true' => $this->translator->trans('inline_edit.checkbox.true', [], self::TRANSLATION_DOMAIN),
+            'false' => $this->translator->trans('inline_edit.checkbox.false', [], self::TRANSLATION_DOMAIN),
+        ], $config['labels'] ?? []);
+
+        return $this->normalizeFieldConfig($config, 'checkbox', [
+            'value' => $checked ? '1' : '0',
+            'checked' => $checked,
+            'switch' => $config['switch'] ?? true,
+            'labels' => $labels,
+            'displayValue' => $config['displayValue'] ?? ($checked ? $labels['true'] : $labels['false']),
+            'instant' => $config['instant'] ?? true,
+        ]);
+    }
+
+    /**
+     * Radio config'i normalize eder (base + radio-specific)
+     * data / choice_label_key / choice_value_key select ile aynıdır. style: 'radio' veya 'buttons' (segmented button group).
+     */
+    private function normalizeRadioConfig(array $config): array
+    {
+        $selected = $config['selected_data'] ?? ($config['value'] ?? '');
+        $labelKey = $config['choice_label_key'] ?? null;
+        $valueKey = $config['choice_value_key'] ?? 'id';
+
+        // Display value verilmediyse seçili item'ın label'ı gösterilir
+        $displayValue = $config['displayValue'] ?? null;
+        if ($displayValue === null && $labelKey !== null) {
+            foreach ($config['data'] ?? [] as $item) {
+                if (is_array($item) && (string) ($item[$valueKey] ?? '') === (string) $selected) {
+                    $displayValue = $item[$labelKey] ?? null;
+                    break;
+                }
+            }
+        }
+
+        return $this->normalizeFieldConfig($config, 'radio', [
+            'value' => $selected,
+            'data' => $config['data'] ?? [],
+            'selected_data' => $selected,
+            'choice_label_key' => $labelKey,
+            'choice_value_key' => $valueKey,
+            'style' => $config['style'] ?? 'radio',
+            'displayValue' => $displayValue ?? $selected,
+            'instant' => $config['instant'] ?? true,
+        ]);
+    }
+
     /**
      * Select config'i normalize eder (base + select-specific)
      */
@@ -144,6 +273,22 @@ class InlineEditableRuntime implements RuntimeExtensionInterface
             'choice_value_key' => $config['choice_value_key'] ?? 'id',
             'multiple' => $config['multiple'] ?? false,
             'placeholder' => $config['placeholder'] ?? '',
+            // Remote options endpoint'i verilirse data sadece seçili item(lar)ı içermelidir
+            'options_url' => $config['options_url'] ?? null,
+            'search_placeholder' => $config['search_placeholder']
+                ?? $this->translator->trans('inline_edit.search_placeholder', [], self::TRANSLATION_DOMAIN),
+            // Multiple select'ler JS tarafında aranabilir combobox'a çevrilir (false = native select)
+            'combobox' => $config['combobox'] ?? true,
+        ]);
+    }
+
+    /**
+     * Custom type config'i normalize eder (base + type adı)
+     */
+    private function normalizeCustomTypeConfig(array $config, string $type): array
+    {
+        return $this->normalizeFieldConfig($config, $type, [
+            'placeholder' => $config['placeholder'] ?? '',
         ]);
     }
 
@@ -164,6 +309,18 @@ class InlineEditableRuntime implements RuntimeExtensionInterface
      */
     private function resolveTemplate(string $type): string
     {
+        // Custom type'lar kayıtlı template'leriyle render edilir
+        if (isset($this->types[$type])) {
+            return $this->types[$type];
+        }
+
+        if (!in_array($type, ['input', 'textarea', 'select', 'checkbox', 'radio'], true)) {
+            throw new \InvalidArgumentException(sprintf(
+                'Unknown inline edit type "%s". Register its template under inline_editable.types.',
+                $type
+            ));
+        }
+
         foreach ($this->themes as $themePath) {
             $basename = basename($themePath, '.html.twig');
             if (str_contains($basename, $type)) {
@@ -0,0 +1,153 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, sleep, stubFetch, getInput, readText, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+let requests, manager, fieldElement, select, combobox
+
+/**
+ * Seçili departmanları olan multiple select field'ı render eder
+ */
+function renderMultipleSelect({ selectAttributes = '' } = {}) {
+    return `
+        <div id="field" data-inline-edit-manager="true" data-inline-edit-url="/personel/1" data-inline-edit-field-path="personel.departmanlar"
+             data-inline-edit-value="1" data-inline-edit-input-type="select" data-inline-edit-html-type="select" data-inline-edit-mode="inline"
+             data-inline-edit-multiple="true" data-inline-edit-placeholder="Departman seçiniz">
+            <div data-inline-edit-read-mode>
+                <span data-inline-edit-editable>Muhasebe</span>
+                <button type="button" data-inline-edit-enable>Düzenle</button>
+            </div>
+            <template data-inline-edit-content-template>
+                <select data-inline-edit-input multiple ${selectAttributes}>
+                    <option value="1" selected>Muhasebe</option>
+                    <option value="2">İnsan Kaynakları</option>
+                    <option value="3">Satış</option>
+                </select>
+                <button type="button" data-inline-edit-save>Kaydet</button>
+                <button type="button" data-inline-edit-cancel>İptal</button>
+                <div data-inline-edit-error></div>
+            </template>
+            <div class="d-none" data-inline-edit-edit-mode></div>
+        </div>`
+}
+
+/**
+ * Manager'ı kurar ve field'ı açar
+ */
+async function openField(html = renderMultipleSelect()) {
+    setupDom(html)
+    requests = stubFetch()
+    manager = new InlineEditManager()
+    manager.init()
+
+    fieldElement = document.getElementById('field')
+    fieldElement.querySelector('[data-inline-edit-enable]').click()
+    await sleep(10)
+
+    select = getInput(manager, fieldElement)
+    combobox = fieldElement.querySelector('[role="combobox"]')
+    combobox?.focus()
+}
+
+/**
+ * Combobox input'unda tuşa basar
+ */
+function press(key) {
+    combobox.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }))
+}
+
+/**
+ * Combobox input'una yazar (listeyi açar ve filtreler)
+ */
+function type(text) {
+    combobox.value = text
+    combobox.dispatchEvent(new Event('input', { bubbles: true }))
+}
+
+const chipLabels = () => Array.from(fieldElement.querySelectorAll('.inline-edit-combobox-chip'))
+    .map(chip => chip.firstChild.textContent)
+const visibleOptions = () => Array.from(fieldElement.querySelectorAll('[role="option"]:not([hidden])'))
+    .map(item => item.textContent)
+const selectedValues = () => Array.from(select.selectedOptions).map(option => option.value)
+
+beforeEach(async () => {
+    await openField()
+})
+
+test('multiple select combobox\'a çevrilir, native select gizlenir ve seçililer chip olarak gösterilir', () => {
+    assert.ok(combobox)
+    assert.ok(select.hidden)
+    assert.equal(combobox.getAttribute('aria-label'), 'Departman seçiniz')
+    assert.deepEqual(chipLabels(), ['Muhasebe'])
+    manager.destroy()
+})
+
+test('yazdıkça liste filtrelenir', () => {
+    type('sat')
+
+    assert.equal(combobox.getAttribute('aria-expanded'), 'true')
+    assert.deepEqual(visibleOptions(), ['Satış'])
+    manager.destroy()
+})
+
+test('ok tuşları ve Enter ile option seçilir, seçim select\'e yazılır', () => {
+    press('ArrowDown')
+    press('ArrowDown')
+    assert.equal(combobox.getAttribute('aria-activedescendant'), fieldElement.querySelectorAll('[role="option"]')[1].id)
+
+    press('Enter')
+
+    assert.deepEqual(selectedValues(), ['1', '2'])
+    assert.deepEqual(chipLabels(), ['Muhasebe', 'İnsan Kaynakları'])
+    assert.equal(fieldElement.querySelectorAll('[role="option"]')[1].getAttribute('aria-selected'), 'true')
+    manager.destroy()
+})
+
+test('boş input\'ta Backspace son chip\'i, chip\'in × butonu kendi değerini kaldırır', () => {
+    type('sat')
+    press('Enter')
+    assert.deepEqual(selectedValues(), ['1', '3'])
+
+    press('Backspace')
+    assert.deepEqual(selectedValues(), ['1'])
+
+    fieldElement.querySelector('.inline-edit-combobox-chip-remove').click()
+    assert.deepEqual(selectedValues(), [])
+    assert.deepEqual(chipLabels(), [])
+    manager.destroy()
+})
+
+test('Escape önce listeyi kapatır, ikinci Escape edit mode\'u iptal eder', async () => {
+    type('sat')
+    press('Escape')
+
+    assert.equal(combobox.getAttribute('aria-expanded'), 'false')
+    assert.ok(manager.isActive(fieldElement))
+
+    press('Escape')
+    await sleep(10)
+    assert.ok(!manager.isActive(fieldElement))
+    manager.destroy()
+})
+
+test('combobox\'ta yapılan seçim kaydedilir ve label\'lar read view\'a yazılır', async () => {
+    type('sat')
+    press('Enter')
+    await manager.save(fieldElement)
+
+    assert.equal(requests.length, 1)
+    assert.match(requestBody(requests[0]), /personel\[departmanlar\]\[\]=1&personel\[departmanlar\]\[\]=3/)
+    assert.equal(readText(fieldElement), 'Muhasebe, Satış')
+    assert.equal(fieldElement.querySelector('[data-inline-edit-combobox-ui]'), null)
+    manager.destroy()
+})
+
+test('data-inline-edit-combobox="false" olan select\'e dokunulmaz', async () => {
+    manager.destroy()
+    await openField(renderMultipleSelect({ selectAttributes: 'data-inline-edit-combobox="false"' }))
+
+    assert.equal(combobox, null)
+    assert.ok(!select.hidden)
+    manager.destroy()
+})
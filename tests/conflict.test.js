@@ -0,0 +1,106 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep, stubFetch, jsonResponse, editAndSave, readText, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+/**
+ * Versiyonlu field ile manager kurar; ilk request conflict response'u döner, sonrakiler başarılı
+ */
+function createManager(conflictResponse) {
+    setupDom(renderField({ attributes: 'data-inline-edit-version="3"' }))
+    const requests = stubFetch((url, options, index) => index === 0 ? conflictResponse() : jsonResponse(200, { success: true, version: '5' }))
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const conflicts = []
+    manager.on('conflict', (data) => conflicts.push(data))
+
+    return { manager, requests, conflicts, fieldElement: document.getElementById('field') }
+}
+
+/**
+ * Conflict UI'ındaki butona tıklar ve çözümün bitmesini bekler
+ */
+async function choose(fieldElement, choice) {
+    fieldElement.querySelector(`[data-inline-edit-conflict-${choice}]`).click()
+    await sleep(10)
+}
+
+test('409 conflict UI\'ını iki değerle gösterir ve conflict emit eder', async () => {
+    const { manager, requests, conflicts, fieldElement } = createManager(
+        () => jsonResponse(409, { currentValue: 'Ahmet', version: '4' })
+    )
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests[0].options.headers['If-Match'], '3')
+    assert.ok(manager.isActive(fieldElement))
+    assert.equal(fieldElement.querySelector('[data-inline-edit-conflict-mine]').textContent, 'Ali')
+    assert.equal(fieldElement.querySelector('[data-inline-edit-conflict-theirs]').textContent, 'Ahmet')
+    assert.equal(conflicts.length, 1)
+    assert.equal(conflicts[0].type, 'version')
+    assert.equal(conflicts[0].status, 409)
+    assert.equal(conflicts[0].serverVersion, '4')
+    manager.destroy()
+})
+
+test('"benimkini kaydet" değeri sunucunun yeni versiyonuyla tekrar gönderir', async () => {
+    const { manager, requests, fieldElement } = createManager(
+        () => jsonResponse(409, { currentValue: 'Ahmet' }, { ETag: '"4"' })
+    )
+
+    await editAndSave(manager, fieldElement, 'Ali')
+    await choose(fieldElement, 'keep-mine')
+
+    assert.equal(requests.length, 2)
+    assert.equal(requests[1].options.headers['If-Match'], '"4"')
+    assert.match(requestBody(requests[1]), /Ali/)
+    assert.ok(!manager.isActive(fieldElement))
+    assert.equal(readText(fieldElement), 'Ali')
+    assert.equal(fieldElement.dataset.inlineEditVersion, '5')
+    manager.destroy()
+})
+
+test('versiyonsuz 412\'de "benimkini kaydet" değeri versiyonsuz gönderir', async () => {
+    const { manager, requests, fieldElement } = createManager(() => jsonResponse(412, { currentValue: 'Ahmet' }))
+
+    await editAndSave(manager, fieldElement, 'Ali')
+    await choose(fieldElement, 'keep-mine')
+
+    assert.equal(requests.length, 2)
+    assert.equal(requests[1].options.headers['If-Match'], undefined)
+    assert.equal(readText(fieldElement), 'Ali')
+    manager.destroy()
+})
+
+test('"sunucudakini al" sunucu değerini gösterir, request göndermeden kapatır', async () => {
+    const { manager, requests, fieldElement } = createManager(
+        () => jsonResponse(409, { currentValue: 'Ahmet', version: '4' })
+    )
+
+    await editAndSave(manager, fieldElement, 'Ali')
+    await choose(fieldElement, 'take-theirs')
+
+    assert.equal(requests.length, 1)
+    assert.ok(!manager.isActive(fieldElement))
+    assert.equal(readText(fieldElement), 'Ahmet')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Ahmet')
+    assert.equal(fieldElement.dataset.inlineEditVersion, '4')
+    manager.destroy()
+})
+
+test('"sunucudakini al" currentDisplayValue\'yu görünüm, currentValue\'yu değer olarak kullanır', async () => {
+    const { manager, fieldElement } = createManager(
+        () => jsonResponse(409, { currentValue: 'ahmet', currentDisplayValue: 'Ahmet Bey', version: '4' })
+    )
+
+    await editAndSave(manager, fieldElement, 'Ali')
+    assert.equal(fieldElement.querySelector('[data-inline-edit-conflict-theirs]').textContent, 'Ahmet Bey')
+
+    await choose(fieldElement, 'take-theirs')
+
+    assert.equal(readText(fieldElement), 'Ahmet Bey')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'ahmet')
+    manager.destroy()
+})
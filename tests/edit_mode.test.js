@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+test('popup field\'ın read text\'ine tıklama popover\'ı açar', async () => {
+    setupDom(renderField({ mode: 'popup' }))
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    fieldElement.querySelector('[data-inline-edit-editable]').click()
+    await sleep(10)
+
+    assert.ok(manager.isActive(fieldElement))
+    assert.ok(manager.getPopoverElement(fieldElement))
+
+    // Açıkken read text'e tekrar tıklama popover'ı kapatmaz
+    fieldElement.querySelector('[data-inline-edit-editable]').click()
+    await sleep(10)
+    assert.ok(manager.getPopoverElement(fieldElement))
+
+    manager.destroy()
+})
+
+test('inline field açıkken popup field\'ın read text\'ine tıklama inline field\'ı kapatıp popover\'ı açar', async () => {
+    setupDom(renderField({ id: 'inline' }) + renderField({ id: 'popup', mode: 'popup' }))
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const inlineField = document.getElementById('inline')
+    const popupField = document.getElementById('popup')
+
+    inlineField.querySelector('[data-inline-edit-editable]').click()
+    await sleep(10)
+    assert.ok(manager.isActive(inlineField))
+
+    popupField.querySelector('[data-inline-edit-editable]').click()
+    await sleep(10)
+    assert.ok(!manager.isActive(inlineField))
+    assert.ok(manager.isActive(popupField))
+    assert.ok(manager.getPopoverElement(popupField))
+
+    manager.destroy()
+})
+
+test('popup field açıkken inline field\'ın read text\'ine tıklama popover\'ı kapatıp inline edit\'i açar', async () => {
+    setupDom(renderField({ id: 'inline' }) + renderField({ id: 'popup', mode: 'popup' }))
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const inlineField = document.getElementById('inline')
+    const popupField = document.getElementById('popup')
+
+    popupField.querySelector('[data-inline-edit-editable]').click()
+    await sleep(10)
+    assert.ok(manager.isActive(popupField))
+
+    inlineField.querySelector('[data-inline-edit-editable]').click()
+    await sleep(10)
+    assert.ok(!manager.isActive(popupField))
+    assert.equal(document.querySelectorAll('.inline-edit-popover').length, 0)
+    assert.ok(manager.isActive(inlineField))
+    assert.ok(!inlineField.querySelector('[data-inline-edit-edit-mode]').classList.contains('d-none'))
+
+    manager.destroy()
+})
@@ -0,0 +1,39 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+test('number formatı varsayılan olarak binlik ayırıcı kullanmaz, istenirse kullanır', () => {
+    setupDom('<div id="plain"></div><div id="grouped" data-inline-edit-format="number" data-inline-edit-format-options=\'{"useGrouping": true}\'></div>')
+    const manager = new InlineEditManager({ locale: 'tr-TR' })
+
+    assert.equal(manager.formatDisplayValue('2026', 'number', document.getElementById('plain')), '2026')
+    assert.equal(manager.formatDisplayValue('1234.5', 'number', document.getElementById('plain')), '1234,5')
+    assert.equal(manager.formatDisplayValue('1234.5', 'number', document.getElementById('grouped')), '1.234,5')
+})
+
+test('format attribute\'u html type adını (datetime-local) kabul eder', () => {
+    setupDom('<div id="field" data-inline-edit-format="datetime-local"></div>')
+    const manager = new InlineEditManager({ locale: 'tr-TR' })
+
+    assert.equal(manager.formatDisplayValue('2026-10-19T14:05', 'text', document.getElementById('field')), '19.10.2026 14:05')
+})
+
+test('currency formatı para birimi verilmeden sembolsüz tutar, verilince currency stili kullanır', () => {
+    setupDom('<div id="plain"></div><div id="euro" data-inline-edit-format-options=\'{"currency": "EUR"}\'></div>')
+    const manager = new InlineEditManager({ locale: 'de-DE' })
+
+    assert.equal(manager.formatLocaleValue('1234.5', 'currency', document.getElementById('plain')), '1.234,50')
+    assert.equal(manager.formatLocaleValue('1234.5', 'currency', document.getElementById('euro')), '1.234,50\u00a0€')
+    assert.equal(new InlineEditManager({ locale: 'en-US', formats: { currency: { currency: 'USD' } } })
+        .formatLocaleValue('1234.5', 'currency'), '$1,234.50')
+})
+
+test('locale verilmezse <html lang> kullanılır', () => {
+    setupDom('<div id="field"></div>')
+    document.documentElement.lang = 'en-US'
+    const manager = new InlineEditManager()
+
+    assert.equal(manager.formatLocaleValue('2026-10-19', 'date', document.getElementById('field')), '10/19/2026')
+})
@@ -0,0 +1,95 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep, stubFetch, jsonResponse, getInput, readText, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+let groupElement, nameField, surnameField
+
+beforeEach(() => {
+    setupDom(`
+        <div id="group" data-inline-edit-group data-inline-edit-group-url="/personel/1">
+            ${renderField({ id: 'name', value: 'Mehmet' })}
+            ${renderField({ id: 'surname', value: 'Yılmaz' })}
+            <div class="d-none" data-inline-edit-group-actions>
+                <button type="button" data-inline-edit-group-save>Kaydet</button>
+                <button type="button" data-inline-edit-group-cancel>İptal</button>
+            </div>
+            <button type="button" data-inline-edit-group-edit>Düzenle</button>
+        </div>`)
+    groupElement = document.getElementById('group')
+    nameField = document.getElementById('name')
+    surnameField = document.getElementById('surname')
+})
+
+/**
+ * Manager'ı kurar ve grubu edit mode'a alır
+ */
+async function openGroup(handler) {
+    const requests = stubFetch(handler)
+    const manager = new InlineEditManager()
+    manager.init()
+    groupElement.querySelector('[data-inline-edit-group-edit]').click()
+    await sleep(10)
+    return { manager, requests }
+}
+
+test('grup düzenle butonu tüm field\'ları açar, aksiyonları gösterir', async () => {
+    const { manager } = await openGroup()
+
+    assert.ok(manager.isActive(nameField))
+    assert.ok(manager.isActive(surnameField))
+    assert.ok(!groupElement.querySelector('[data-inline-edit-group-actions]').classList.contains('d-none'))
+    manager.destroy()
+})
+
+test('grup save sadece değişen field\'ları tek request ile gönderir ve grubu kapatır', async () => {
+    const { manager, requests } = await openGroup()
+    const saved = []
+    manager.on('saved', (data) => saved.push(data))
+
+    getInput(manager, nameField).value = 'Ali'
+    await manager.saveGroup(groupElement)
+
+    assert.equal(requests.length, 1)
+    assert.match(requestBody(requests[0]), /personel\[name\]=Ali/)
+    assert.doesNotMatch(requestBody(requests[0]), /surname/)
+    assert.equal(saved.length, 1)
+    assert.equal(saved[0].group, groupElement)
+    assert.equal(readText(nameField), 'Ali')
+    assert.equal(readText(surnameField), 'Yılmaz')
+    assert.ok(!manager.isActive(nameField))
+    assert.ok(!manager.isActive(surnameField))
+    assert.ok(groupElement.querySelector('[data-inline-edit-group-actions]').classList.contains('d-none'))
+    manager.destroy()
+})
+
+test('grup save\'inde validation hataları ilgili field\'da gösterilir, grup açık kalır', async () => {
+    const { manager } = await openGroup(() => jsonResponse(422, { errors: { personel: { surname: ['Soyad çok kısa.'] } } }))
+
+    getInput(manager, nameField).value = 'Ali'
+    getInput(manager, surnameField).value = 'Y'
+    await manager.saveGroup(groupElement)
+
+    assert.ok(manager.isActive(nameField))
+    assert.ok(manager.isActive(surnameField))
+    assert.equal(surnameField.querySelector('[data-inline-edit-error]').textContent, 'Soyad çok kısa.')
+    assert.equal(nameField.querySelector('[data-inline-edit-error]').textContent, '')
+    assert.equal(readText(nameField), 'Mehmet')
+    manager.destroy()
+})
+
+test('grup iptali tüm field\'ları request göndermeden eski değerleriyle kapatır', async () => {
+    const { manager, requests } = await openGroup()
+
+    getInput(manager, nameField).value = 'Ali'
+    groupElement.querySelector('[data-inline-edit-group-cancel]').click()
+    await sleep(10)
+
+    assert.equal(requests.length, 0)
+    assert.ok(!manager.isActive(nameField))
+    assert.ok(!manager.isActive(surnameField))
+    assert.equal(readText(nameField), 'Mehmet')
+    assert.equal(nameField.dataset.inlineEditValue, 'Mehmet')
+    manager.destroy()
+})
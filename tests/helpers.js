@@ -0,0 +1,95 @@
+import { JSDOM } from 'jsdom'
+
+const GLOBALS = ['window', 'document', 'HTMLElement', 'Node', 'Event', 'KeyboardEvent', 'MouseEvent', 'CustomEvent', 'DOMParser', 'Option', 'localStorage', 'navigator']
+
+/**
+ * Her test için temiz bir jsdom ortamı kurar, manager'ın kullandığı global'leri bağlar
+ */
+export function setupDom(html) {
+    const dom = new JSDOM(`<!doctype html><body>${html}</body>`, { url: 'http://localhost/' })
+    for (const key of GLOBALS) {
+        Object.defineProperty(globalThis, key, { value: dom.window[key], configurable: true, writable: true })
+    }
+    return dom.window
+}
+
+/**
+ * Tek bir text field'ı render eder (inline modda edit mode container'ı ile)
+ * @param {Object} options
+ * @param {string} options.attributes - Field container'ına eklenecek ek attribute'lar
+ * @param {string} options.inputAttributes - Input'a eklenecek ek attribute'lar (required, pattern...)
+ */
+export function renderField({ id = 'field', mode = 'inline', value = 'Mehmet', attributes = '', inputAttributes = '' } = {}) {
+    const editModeContainer = mode === 'inline' ? '<div class="d-none" data-inline-edit-edit-mode></div>' : ''
+    return `
+        <div id="${id}" data-inline-edit-manager="true" data-inline-edit-url="/personel/1" data-inline-edit-field-path="personel.${id}"
+             data-inline-edit-value="${value}" data-inline-edit-input-type="input" data-inline-edit-html-type="text" data-inline-edit-mode="${mode}" ${attributes}>
+            <div data-inline-edit-read-mode>
+                <span data-inline-edit-editable>${value}</span>
+                <button type="button" data-inline-edit-enable>Düzenle</button>
+            </div>
+            <template data-inline-edit-content-template>
+                <input type="text" data-inline-edit-input value="${value}" ${inputAttributes}>
+                <button type="button" data-inline-edit-save>Kaydet</button>
+                <button type="button" data-inline-edit-cancel>İptal</button>
+                <div class="invalid-feedback" data-inline-edit-error></div>
+            </template>
+            ${editModeContainer}
+        </div>`
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * JSON body'li fetch Response'u
+ */
+export function jsonResponse(status, body = {}, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } })
+}
+
+/**
+ * globalThis.fetch'i stub'lar; handler (url, options, index) => Response | Promise<Response> (throw = network hatası)
+ * @returns {Array<{url, options}>} Gönderilen request'ler
+ */
+export function stubFetch(handler = () => jsonResponse(200, { success: true })) {
+    const requests = []
+    globalThis.fetch = async (url, options) => {
+        requests.push({ url, options })
+        return handler(url, options, requests.length - 1)
+    }
+    return requests
+}
+
+/**
+ * Field'ın edit mode'unu açar, değeri yazıp Save'e basar (popover modunda popover içindeki input kullanılır)
+ */
+export async function editAndSave(manager, fieldElement, value) {
+    fieldElement.querySelector('[data-inline-edit-enable]').click()
+    await sleep(10)
+
+    const input = getInput(manager, fieldElement)
+    input.value = value
+    await manager.save(fieldElement)
+}
+
+/**
+ * Field'ın açık editöründeki input'u döner
+ */
+export function getInput(manager, fieldElement) {
+    const container = manager.getPopoverElement?.(fieldElement) || fieldElement.querySelector('[data-inline-edit-edit-mode]')
+    return container?.querySelector('[data-inline-edit-input]') || null
+}
+
+/**
+ * Field'ın read view'ındaki text
+ */
+export function readText(fieldElement) {
+    return fieldElement.querySelector('[data-inline-edit-editable]').textContent.trim()
+}
+
+/**
+ * Request body'sini (form-urlencoded veya JSON) decode edilmiş string olarak döner
+ */
+export function requestBody(request) {
+    return decodeURIComponent(String(request.options.body)).replace(/\+/g, ' ')
+}
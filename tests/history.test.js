@@ -0,0 +1,59 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, stubFetch, editAndSave, readText, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+let requests, manager, fieldElement, notifications
+
+beforeEach(() => {
+    setupDom(renderField())
+    requests = stubFetch()
+    notifications = []
+    const record = (type) => (message) => notifications.push({ type, message })
+    manager = new InlineEditManager({ notifier: { success: record('success'), error: record('error') } })
+    manager.init()
+    fieldElement = document.getElementById('field')
+})
+
+test('undo eski değeri, redo yeni değeri sunucuya gönderip ekrana basar', async () => {
+    await editAndSave(manager, fieldElement, 'Ali')
+    assert.ok(manager.canUndo())
+
+    assert.equal(await manager.undo(), true)
+    assert.equal(requests.length, 2)
+    assert.match(requestBody(requests[1]), /Mehmet/)
+    assert.equal(readText(fieldElement), 'Mehmet')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Mehmet')
+    assert.ok(manager.canRedo())
+
+    assert.equal(await manager.redo(), true)
+    assert.equal(requests.length, 3)
+    assert.match(requestBody(requests[2]), /Ali/)
+    assert.equal(readText(fieldElement), 'Ali')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Ali')
+    assert.ok(manager.canUndo())
+    assert.ok(!manager.canRedo())
+    manager.destroy()
+})
+
+test('yeni save redo geçmişini temizler', async () => {
+    await editAndSave(manager, fieldElement, 'Ali')
+    await manager.undo()
+    await editAndSave(manager, fieldElement, 'Veli')
+
+    assert.ok(!manager.canRedo())
+    manager.destroy()
+})
+
+test('field sayfadan kaldırıldıysa undo request göndermez ve bildirim gösterir', async () => {
+    await editAndSave(manager, fieldElement, 'Ali')
+    fieldElement.remove()
+    notifications.length = 0
+
+    assert.equal(await manager.undo(), false)
+    assert.equal(requests.length, 1)
+    assert.ok(!manager.canUndo())
+    assert.deepEqual(notifications, [{ type: 'error', message: manager.t('history.unavailable') }])
+    manager.destroy()
+})
@@ -0,0 +1,56 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, stubFetch, jsonResponse, editAndSave } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+beforeEach(() => {
+    setupDom('')
+})
+
+test('language ile Türkçe ve İngilizce mesajlar döner', () => {
+    assert.equal(new InlineEditManager({ language: 'tr' }).t('save.success'), 'Field başarıyla güncellendi.')
+    assert.equal(new InlineEditManager({ language: 'en' }).t('save.success'), 'Field updated successfully.')
+})
+
+test('language verilmezse locale, sonra <html lang> kullanılır; bölge kodu ana dile düşer', () => {
+    assert.equal(new InlineEditManager({ locale: 'tr_TR' }).t('save.retry'), 'Tekrar dene')
+
+    document.documentElement.lang = 'en-GB'
+    assert.equal(new InlineEditManager().t('save.retry'), 'Retry')
+})
+
+test('bilinmeyen dil fallbackLanguage\'a, bilinmeyen key key\'in kendisine düşer', () => {
+    assert.equal(new InlineEditManager({ language: 'de' }).t('save.retry'), 'Retry')
+    assert.equal(new InlineEditManager({ language: 'de', fallbackLanguage: 'tr' }).t('save.retry'), 'Tekrar dene')
+    assert.equal(new InlineEditManager({ language: 'tr' }).t('olmayan.key'), 'olmayan.key')
+})
+
+test('messages ile yeni dil eklenir ve mesajlar ezilir, eksik key built-in mesaja düşer', () => {
+    const manager = new InlineEditManager({
+        language: 'de',
+        messages: { de: { 'save.retry': 'Erneut versuchen' }, en: { 'save.success': 'Saved.' } }
+    })
+
+    assert.equal(manager.t('save.retry'), 'Erneut versuchen')
+    assert.equal(manager.t('save.success'), 'Saved.')
+    assert.equal(manager.t('history.undo'), 'Undo')
+})
+
+test('parametreler mesajdaki yer tutuculara yazılır', () => {
+    assert.equal(new InlineEditManager({ language: 'tr' }).t('combobox.remove', { label: 'Satış' }), 'Satış kaldır')
+    assert.equal(new InlineEditManager({ language: 'en' }).t('combobox.remove', { label: 'Sales' }), 'Remove Sales')
+})
+
+test('hata mesajı field\'da seçili dilde gösterilir', async () => {
+    setupDom(renderField())
+    stubFetch(() => jsonResponse(500))
+    const manager = new InlineEditManager({ language: 'en', retry: false })
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(fieldElement.querySelector('[data-inline-edit-error]').textContent, 'Something went wrong. Please try again.')
+    manager.destroy()
+})
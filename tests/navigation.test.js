@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+test('spreadsheet mode\'da roving focus hedefi edit butonudur, read view\'a role verilmez', async () => {
+    setupDom(renderField({ id: 'ad' }) + renderField({ id: 'soyad' }))
+    const manager = new InlineEditManager({ navigation: true })
+    manager.init()
+    await sleep(10) // refreshNavigation DOMContentLoaded'da çalışır
+
+    const [first, second] = ['ad', 'soyad'].map(id => document.getElementById(id))
+    const trigger = (field) => field.querySelector('[data-inline-edit-enable]')
+
+    assert.ok(!first.querySelector('[data-inline-edit-read-mode]').hasAttribute('role'))
+    assert.ok(!first.querySelector('[data-inline-edit-read-mode]').hasAttribute('tabindex'))
+    assert.equal(trigger(first).tabIndex, 0)
+    assert.equal(trigger(second).tabIndex, -1)
+
+    trigger(first).focus()
+    trigger(first).dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true, cancelable: true }))
+
+    assert.equal(document.activeElement, trigger(second))
+    assert.equal(trigger(first).tabIndex, -1)
+    assert.equal(trigger(second).tabIndex, 0)
+
+    manager.destroy()
+})
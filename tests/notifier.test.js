@@ -0,0 +1,118 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep, stubFetch, jsonResponse, editAndSave } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+/**
+ * Çağrıları kaydeden notifier adapter'ı ile manager kurar
+ */
+function createManager(handler, options = {}) {
+    setupDom(renderField())
+    const requests = stubFetch(handler)
+    const calls = []
+    const notifier = {
+        success: (message, notifierOptions) => calls.push({ type: 'success', message, ...notifierOptions }),
+        error: (message, notifierOptions) => calls.push({ type: 'error', message, ...notifierOptions })
+    }
+    const manager = new InlineEditManager({ language: 'tr', retry: false, notifier, ...options })
+    manager.init()
+
+    return { manager, requests, calls, fieldElement: document.getElementById('field') }
+}
+
+test('başarılı save\'de success, "Geri al" aksiyonu ile çağrılır', async () => {
+    const { manager, requests, calls, fieldElement } = createManager()
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(calls.length, 1)
+    assert.equal(calls[0].type, 'success')
+    assert.equal(calls[0].event, 'saved')
+    assert.equal(calls[0].message, 'Field başarıyla güncellendi.')
+    assert.equal(calls[0].action.label, 'Geri al')
+
+    await calls[0].action.handler()
+    assert.equal(requests.length, 2)
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Mehmet')
+    manager.destroy()
+})
+
+test('sunucunun mesajı success bildiriminde kullanılır', async () => {
+    const { manager, calls, fieldElement } = createManager(() => jsonResponse(200, { success: true, message: 'Ad güncellendi.' }))
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(calls[0].message, 'Ad güncellendi.')
+    manager.destroy()
+})
+
+test('sunucu hatasında error, aksiyonsuz çağrılır', async () => {
+    const { manager, calls, fieldElement } = createManager(() => jsonResponse(422, { message: 'Ad çok kısa.' }))
+
+    await editAndSave(manager, fieldElement, 'A')
+
+    assert.deepEqual(calls, [{ type: 'error', event: 'error', message: 'Ad çok kısa.' }])
+    manager.destroy()
+})
+
+test('network hatasında error "Tekrar dene" aksiyonu ile çağrılır, aksiyon save\'i tekrarlar', async () => {
+    let online = false
+    const { manager, requests, calls, fieldElement } = createManager(() => {
+        if (!online) {
+            throw new TypeError('Failed to fetch')
+        }
+        return jsonResponse(200, { success: true })
+    })
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(calls.length, 1)
+    assert.equal(calls[0].type, 'error')
+    assert.equal(calls[0].message, 'Kaydetme sırasında bir hata oluştu. Lütfen tekrar deneyin.')
+    assert.equal(calls[0].action.label, 'Tekrar dene')
+
+    online = true
+    await calls[0].action.handler()
+    assert.equal(requests.length, 2)
+    assert.equal(calls[1].type, 'success')
+    assert.ok(!manager.isActive(fieldElement))
+    manager.destroy()
+})
+
+test('notifications ile durum kapatılır veya bildirim değiştirilir', async () => {
+    const disabled = createManager(undefined, { notifications: { saved: false } })
+    await editAndSave(disabled.manager, disabled.fieldElement, 'Ali')
+    assert.equal(disabled.calls.length, 0)
+    disabled.manager.destroy()
+
+    const customized = createManager(undefined, {
+        notifications: { saved: (notification) => ({ ...notification, type: 'error', message: 'Özel', action: null }) }
+    })
+    await editAndSave(customized.manager, customized.fieldElement, 'Ali')
+    assert.deepEqual(customized.calls, [{ type: 'error', event: 'saved', message: 'Özel' }])
+    customized.manager.destroy()
+})
+
+test('built-in toast notifier bildirimi ve aksiyon butonunu gösterir', async () => {
+    const { manager, requests, fieldElement } = createManager(undefined, {
+        notifier: 'toast',
+        // Undo sonucu için yeni toast açılmasın (toast'ın kapanma timer'ı testi bekletmesin)
+        notifications: { history: false }
+    })
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    const toast = document.querySelector('.inline-edit-toast--success')
+    assert.ok(toast)
+    assert.equal(toast.querySelector('span').textContent, 'Field başarıyla güncellendi.')
+
+    // Aksiyon toast'ı kapatır ve handler'ı çalıştırır
+    const action = toast.querySelector('.inline-edit-toast-action')
+    assert.equal(action.textContent, 'Geri al')
+    action.click()
+    await sleep(10)
+    assert.ok(!toast.isConnected)
+    assert.equal(requests.length, 2)
+    manager.destroy()
+})
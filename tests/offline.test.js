@@ -0,0 +1,166 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep, stubFetch, jsonResponse, editAndSave, readText, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+const STORAGE_KEY = 'inline_edit_offline_queue'
+
+let online
+
+beforeEach(() => {
+    setupDom(renderField())
+    online = true
+    Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online })
+})
+
+/**
+ * Bağlantı yokken tarayıcı gibi network hatası veren fetch stub'ı
+ * @returns {Array<{url, options}>} Sunucuya ulaşan (online iken gönderilen) request'ler
+ */
+function stubNetwork(handler = () => jsonResponse(200, { success: true })) {
+    const delivered = []
+    stubFetch((url, options) => {
+        if (!online) {
+            throw new TypeError('Failed to fetch')
+        }
+        delivered.push({ url, options })
+        return handler(url, options, delivered.length - 1)
+    })
+    return delivered
+}
+
+/**
+ * Offline iken başlayan replay denemesinin bitmesini bekler, bağlantıyı geri getirir ve replay'in bitmesini bekler
+ */
+async function goOnline() {
+    await sleep(10)
+    online = true
+    window.dispatchEvent(new Event('online'))
+    await sleep(20)
+}
+
+test('offline iken yapılan save kuyruğa alınır ve localStorage\'a yazılır', async () => {
+    const requests = stubNetwork()
+    const manager = new InlineEditManager({ offline: true })
+    manager.init()
+    const queued = []
+    manager.on('queued', (data) => queued.push(data))
+
+    online = false
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 0)
+    assert.equal(queued.length, 1)
+    assert.equal(readText(fieldElement), 'Ali')
+    assert.ok(!manager.isActive(fieldElement))
+
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    assert.equal(stored.length, 1)
+    assert.equal(stored[0].value, 'Ali')
+    assert.equal(stored[0].fieldPath, 'personel.field')
+    manager.destroy()
+})
+
+test('online event\'inde kuyruk gönderilir ve boşaltılır', async () => {
+    const requests = stubNetwork()
+    const manager = new InlineEditManager({ offline: true })
+    manager.init()
+    const replayed = []
+    manager.on('replayed', (data) => replayed.push(data))
+
+    online = false
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+    await goOnline()
+
+    assert.equal(requests.length, 1)
+    assert.match(requestBody(requests[0]), /Ali/)
+    assert.equal(replayed.length, 1)
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)), [])
+    manager.destroy()
+})
+
+test('aynı field\'ın kuyruktaki değişiklikleri sırayla gönderilir', async () => {
+    const requests = stubNetwork(async () => {
+        await sleep(5)
+        return jsonResponse(200)
+    })
+    const manager = new InlineEditManager({ offline: true })
+    manager.init()
+
+    online = false
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+    await editAndSave(manager, fieldElement, 'Veli')
+    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEY)).length, 2)
+
+    await goOnline()
+
+    assert.deepEqual(requests.map(request => /Veli/.test(requestBody(request)) ? 'Veli' : 'Ali'), ['Ali', 'Veli'])
+    assert.equal(readText(fieldElement), 'Veli')
+    manager.destroy()
+})
+
+test('sayfa yeniden yüklendiğinde kuyruk DOM\'a uygulanır ve gönderilir', async () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([{
+        id: '1',
+        url: '/personel/1',
+        fieldPath: 'personel.field',
+        version: null,
+        value: 'Ali',
+        isMultiple: false,
+        displayValue: null,
+        queuedAt: Date.now()
+    }]))
+    const requests = stubNetwork()
+
+    online = false
+    const manager = new InlineEditManager({ offline: true })
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    assert.equal(readText(fieldElement), 'Ali')
+    assert.equal(requests.length, 0)
+
+    await goOnline()
+    assert.equal(requests.length, 1)
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)), [])
+    manager.destroy()
+})
+
+test('sunucunun reddettiği kuyruk kaydı geri alınır', async () => {
+    stubNetwork(() => jsonResponse(422, { message: 'Geçersiz ad.' }))
+    const manager = new InlineEditManager({ offline: true })
+    manager.init()
+    const conflicts = []
+    manager.on('conflict', (data) => conflicts.push(data))
+
+    online = false
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+    await goOnline()
+
+    assert.equal(conflicts.length, 1)
+    assert.equal(conflicts[0].status, 422)
+    assert.equal(readText(fieldElement), 'Mehmet')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Mehmet')
+    manager.destroy()
+})
+
+test('timeout olan save offline kuyruğa alınmaz', async () => {
+    const requests = stubFetch((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+    const manager = new InlineEditManager({ offline: true, timeout: 20 })
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 1)
+    assert.equal(localStorage.getItem(STORAGE_KEY), null)
+    assert.ok(manager.isActive(fieldElement))
+    manager.destroy()
+})
@@ -0,0 +1,114 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep, stubFetch, jsonResponse, editAndSave, getInput, readText } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+/**
+ * Dışarıdan resolve/reject edilebilen promise (request'in ne zaman biteceğini test belirler)
+ */
+function deferred() {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+        resolve = res
+        reject = rej
+    })
+    return { promise, resolve, reject }
+}
+
+/**
+ * Save'i başlatır, request'in bitmesini beklemez (optimistic save request bitince resolve olur)
+ */
+async function startSave(manager, fieldElement, value) {
+    editAndSave(manager, fieldElement, value)
+    await sleep(20)
+}
+
+/**
+ * Optimistic modda, retry'sız manager kurar; her request için bir deferred oluşturur
+ */
+function createManager() {
+    setupDom(renderField())
+    const pending = []
+    const requests = stubFetch(() => {
+        const request = deferred()
+        pending.push(request)
+        return request.promise
+    })
+    const manager = new InlineEditManager({ optimistic: true, retry: { retries: 0 } })
+    manager.init()
+
+    const errors = []
+    manager.on('error', (data) => errors.push(data))
+
+    return { manager, requests, pending, errors, fieldElement: document.getElementById('field') }
+}
+
+test('optimistic save edit mode\'u hemen kapatır ve yeni değeri gösterir', async () => {
+    const { manager, pending, fieldElement } = createManager()
+
+    await startSave(manager, fieldElement, 'Ali')
+
+    assert.ok(!manager.isActive(fieldElement))
+    assert.equal(readText(fieldElement), 'Ali')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Ali')
+
+    pending[0].resolve(jsonResponse(200, { success: true }))
+    await sleep(10)
+    assert.equal(readText(fieldElement), 'Ali')
+    manager.destroy()
+})
+
+test('request başarısız olursa read view ve data-inline-edit-value geri alınır', async () => {
+    const { manager, pending, errors, fieldElement } = createManager()
+
+    await startSave(manager, fieldElement, 'Ali')
+    pending[0].resolve(jsonResponse(500))
+    await sleep(10)
+
+    assert.equal(readText(fieldElement), 'Mehmet')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Mehmet')
+    assert.equal(errors.length, 1)
+    assert.equal(errors[0].rolledBack, true)
+
+    // Field gönderilmeye çalışılan değerle tekrar açılır
+    assert.ok(manager.isActive(fieldElement))
+    assert.equal(getInput(manager, fieldElement).value, 'Ali')
+    manager.destroy()
+})
+
+test('network hatasında da rollback yapılır', async () => {
+    const { manager, pending, errors, fieldElement } = createManager()
+
+    await startSave(manager, fieldElement, 'Ali')
+    pending[0].reject(new TypeError('Failed to fetch'))
+    await sleep(10)
+
+    assert.equal(readText(fieldElement), 'Mehmet')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Mehmet')
+    assert.equal(errors[0].error.name, 'NetworkError')
+    manager.destroy()
+})
+
+test('sonraki optimistic save varken hata olursa görünüm korunur, rollback sonraki save\'e devredilir', async () => {
+    const { manager, requests, pending, errors, fieldElement } = createManager()
+
+    await startSave(manager, fieldElement, 'Ali')
+    await startSave(manager, fieldElement, 'Veli')
+    assert.equal(readText(fieldElement), 'Veli')
+
+    pending[0].resolve(jsonResponse(500))
+    await sleep(10)
+
+    assert.equal(errors[0].rolledBack, false)
+    assert.equal(readText(fieldElement), 'Veli')
+    assert.equal(requests.length, 2)
+
+    // İkinci save de başarısız olursa ilk save'den önceki değere dönülür
+    pending[1].resolve(jsonResponse(500))
+    await sleep(10)
+
+    assert.equal(readText(fieldElement), 'Mehmet')
+    assert.equal(fieldElement.dataset.inlineEditValue, 'Mehmet')
+    manager.destroy()
+})
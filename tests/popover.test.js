@@ -0,0 +1,85 @@
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep, stubFetch } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+/**
+ * Sayfada field'dan önce render edilmiş, alakasız bir popover
+ */
+const UNRELATED_POPOVER = `
+    <div class="popover" id="unrelated">
+        <div class="popover-body">
+            <input type="text" data-inline-edit-input value="Başka">
+            <button type="button" data-inline-edit-save>Kaydet</button>
+            <div data-inline-edit-error></div>
+        </div>
+    </div>`
+
+let requests
+
+beforeEach(() => {
+    setupDom(UNRELATED_POPOVER + renderField({ mode: 'popup' }))
+    requests = stubFetch()
+})
+
+/**
+ * Field'ın popover'ını açar, manager ile field ve popover elementini döner
+ */
+async function openPopup() {
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    fieldElement.querySelector('[data-inline-edit-enable]').click()
+    await sleep(10)
+
+    const popoverElement = manager.getPopoverElement(fieldElement)
+    assert.ok(popoverElement, 'field popover açılmalı')
+    assert.notEqual(popoverElement.id, 'unrelated')
+
+    return { manager, fieldElement, popoverElement }
+}
+
+test('save, field\'ın kendi popover\'ındaki değeri gönderir', async () => {
+    const { manager, fieldElement, popoverElement } = await openPopup()
+
+    popoverElement.querySelector('[data-inline-edit-input]').value = 'Ali'
+    await manager.save(fieldElement)
+
+    assert.equal(requests.length, 1)
+    assert.match(String(requests[0].options.body), /Ali/)
+    assert.doesNotMatch(String(requests[0].options.body), /Başka/)
+    assert.equal(fieldElement.querySelector('[data-inline-edit-editable]').textContent, 'Ali')
+
+    manager.destroy()
+})
+
+test('showError, hatayı alakasız popover\'a değil field\'ın popover\'ına yazar', async () => {
+    const { manager, fieldElement, popoverElement } = await openPopup()
+    const unrelated = document.getElementById('unrelated')
+
+    manager.showError(fieldElement, 'Geçersiz değer')
+
+    assert.equal(popoverElement.querySelector('[data-inline-edit-error]').textContent, 'Geçersiz değer')
+    assert.ok(popoverElement.querySelector('[data-inline-edit-input]').classList.contains('is-invalid'))
+    assert.equal(unrelated.querySelector('[data-inline-edit-error]').textContent, '')
+    assert.ok(!unrelated.querySelector('[data-inline-edit-input]').classList.contains('is-invalid'))
+
+    manager.destroy()
+})
+
+test('setLoadingState, sadece field\'ın popover\'ındaki kontrolleri disable eder', async () => {
+    const { manager, fieldElement, popoverElement } = await openPopup()
+    const unrelated = document.getElementById('unrelated')
+
+    manager.setLoadingState(fieldElement, true)
+
+    assert.ok(popoverElement.querySelector('[data-inline-edit-input]').disabled)
+    assert.ok(popoverElement.querySelector('[data-inline-edit-save]').disabled)
+    assert.ok(!unrelated.querySelector('[data-inline-edit-input]').disabled)
+    assert.ok(!unrelated.querySelector('[data-inline-edit-save]').disabled)
+
+    manager.setLoadingState(fieldElement, false)
+    manager.destroy()
+})
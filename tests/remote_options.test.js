@@ -0,0 +1,174 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, sleep, stubFetch, jsonResponse, getInput, readText, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+const CUSTOMERS = [
+    { id: 12, ad: 'Acme Ltd.' },
+    { id: 7, ad: 'Beta A.Ş.' },
+    { id: 8, ad: 'Beton Yapı' },
+    { id: 9, ad: 'Delta Gıda' }
+]
+
+/**
+ * Seçili müşteriyi içeren remote select field'ı render eder
+ */
+function renderRemoteSelect({ multiple = false } = {}) {
+    return `
+        <div id="field" data-inline-edit-manager="true" data-inline-edit-url="/siparis/1" data-inline-edit-field-path="siparis.musteri"
+             data-inline-edit-value="12" data-inline-edit-input-type="select" data-inline-edit-html-type="select" data-inline-edit-mode="inline"
+             ${multiple ? 'data-inline-edit-multiple="true"' : ''}>
+            <div data-inline-edit-read-mode>
+                <span data-inline-edit-editable>Acme Ltd.</span>
+                <button type="button" data-inline-edit-enable>Düzenle</button>
+            </div>
+            <template data-inline-edit-content-template>
+                <input type="search" data-inline-edit-options-search>
+                <select data-inline-edit-input ${multiple ? 'multiple' : ''} size="6" data-inline-edit-options-url="/musteri/search"
+                        data-inline-edit-options-value-key="id" data-inline-edit-options-label-key="ad">
+                    <option value="12" selected>Acme Ltd.</option>
+                </select>
+                <button type="button" data-inline-edit-save>Kaydet</button>
+                <button type="button" data-inline-edit-cancel>İptal</button>
+                <div data-inline-edit-error></div>
+            </template>
+            <div class="d-none" data-inline-edit-edit-mode></div>
+        </div>`
+}
+
+/**
+ * Arama endpoint'i: q ile filtreler, sayfa başına 2 item döner
+ */
+function searchEndpoint(url) {
+    const params = new URL(url, 'http://localhost/').searchParams
+    const query = params.get('q').toLocaleLowerCase()
+    const page = Number(params.get('page'))
+    const matches = CUSTOMERS.filter(customer => customer.ad.toLocaleLowerCase().includes(query))
+    return jsonResponse(200, { items: matches.slice((page - 1) * 2, page * 2), hasMore: matches.length > page * 2 })
+}
+
+/**
+ * Manager'ı kurar ve field'ı açar; options request'leri ayrı toplanır
+ */
+async function openField({ multiple = false, options = {}, endpoint = searchEndpoint } = {}) {
+    setupDom(renderRemoteSelect({ multiple }))
+    const optionRequests = []
+    const saveRequests = []
+    stubFetch((url, requestOptions) => {
+        if (String(url).includes('/musteri/search')) {
+            optionRequests.push(new URL(url, 'http://localhost/'))
+            return endpoint(url)
+        }
+        saveRequests.push({ url, options: requestOptions })
+        return jsonResponse(200, { success: true })
+    })
+    const manager = new InlineEditManager({ remoteOptions: { debounce: 5 }, ...options })
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    fieldElement.querySelector('[data-inline-edit-enable]').click()
+    await sleep(10)
+
+    return { manager, fieldElement, optionRequests, saveRequests, select: getInput(manager, fieldElement) }
+}
+
+/**
+ * Select'teki option değerleri
+ */
+function optionValues(select) {
+    return Array.from(select.options).map(option => option.value)
+}
+
+/**
+ * Arama input'una yazar ve debounce'un bitmesini bekler
+ */
+async function search(fieldElement, query) {
+    const searchInput = fieldElement.querySelector('[data-inline-edit-options-search]')
+    searchInput.value = query
+    searchInput.dispatchEvent(new Event('input'))
+    await sleep(20)
+}
+
+test('edit mode açılınca ilk sayfa yüklenir, seçili option tekrar eklenmez', async () => {
+    const { manager, optionRequests, select } = await openField()
+
+    assert.equal(optionRequests.length, 1)
+    assert.equal(optionRequests[0].searchParams.get('q'), '')
+    assert.equal(optionRequests[0].searchParams.get('page'), '1')
+    assert.deepEqual(optionValues(select), ['12', '7'])
+    assert.equal(select.value, '12')
+    manager.destroy()
+})
+
+test('arama yeni sorguyla ilk sayfayı yükler, seçili olmayan eski option\'ları kaldırır', async () => {
+    const { manager, fieldElement, optionRequests, select } = await openField()
+
+    await search(fieldElement, 'bet')
+
+    assert.equal(optionRequests.length, 2)
+    assert.equal(optionRequests[1].searchParams.get('q'), 'bet')
+    assert.equal(optionRequests[1].searchParams.get('page'), '1')
+    assert.deepEqual(optionValues(select), ['12', '7', '8'])
+    assert.equal(select.value, '12')
+    manager.destroy()
+})
+
+test('listenin sonuna scroll edilince sonraki sayfa yüklenir', async () => {
+    const { manager, optionRequests, select } = await openField()
+
+    select.dispatchEvent(new Event('scroll'))
+    await sleep(10)
+
+    assert.equal(optionRequests.length, 2)
+    assert.equal(optionRequests[1].searchParams.get('page'), '2')
+    assert.deepEqual(optionValues(select), ['12', '7', '8', '9'])
+
+    // Son sayfadan sonra (hasMore: false) yeni request gönderilmez
+    select.dispatchEvent(new Event('scroll'))
+    await sleep(10)
+    assert.equal(optionRequests.length, 2)
+    manager.destroy()
+})
+
+test('Select2 formatı okunur ve kaydedilen option\'ın label\'ı read view\'a yazılır', async () => {
+    const { manager, fieldElement, saveRequests, select } = await openField({
+        endpoint: () => jsonResponse(200, { results: [{ id: 7, text: 'Beta A.Ş.' }], pagination: { more: false } })
+    })
+    select.dataset.inlineEditOptionsLabelKey = 'text'
+
+    select.value = '7'
+    await manager.save(fieldElement)
+
+    assert.match(requestBody(saveRequests[0]), /siparis\[musteri\]=7/)
+    assert.equal(readText(fieldElement), 'Beta A.Ş.')
+    manager.destroy()
+})
+
+test('yükleme hatası error event\'ini action: \'options\' ile tetikler', async () => {
+    const { manager, fieldElement } = await openField({ endpoint: () => jsonResponse(500) })
+    const errors = []
+    manager.on('error', (data) => errors.push(data))
+
+    await search(fieldElement, 'acme')
+
+    assert.equal(errors.length, 1)
+    assert.equal(errors[0].action, 'options')
+    manager.destroy()
+})
+
+test('multiple remote select combobox\'a çevrilmez, arama input\'u ve native liste kullanılır', async () => {
+    const { manager, fieldElement, select } = await openField({ multiple: true })
+
+    assert.equal(fieldElement.querySelector('[data-inline-edit-combobox-ui]'), null)
+    assert.ok(!select.hidden)
+
+    await search(fieldElement, 'bet')
+    select.querySelector('option[value="8"]').selected = true
+    assert.deepEqual(Array.from(select.selectedOptions).map(option => option.value), ['12', '8'])
+
+    // Seçili option'lar yeni aramada korunur
+    await search(fieldElement, 'delta')
+    assert.deepEqual(optionValues(select), ['12', '8', '9'])
+    manager.destroy()
+})
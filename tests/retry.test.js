@@ -0,0 +1,136 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, stubFetch, jsonResponse, editAndSave, readText } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+/**
+ * Kısa backoff süreleriyle manager kurar, save 'error' event'lerini toplar
+ */
+function createManager(handler, options = {}) {
+    setupDom(renderField())
+    const requests = stubFetch(handler)
+    const manager = new InlineEditManager({ retry: { retries: 2, delay: 5, maxDelay: 50 }, ...options })
+    manager.init()
+
+    const errors = []
+    manager.on('error', (data) => errors.push(data))
+
+    return { manager, requests, errors, fieldElement: document.getElementById('field') }
+}
+
+/**
+ * Signal abort edilene kadar cevap vermeyen fetch (timeout testi için)
+ */
+function hangingFetch(url, options) {
+    return new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    })
+}
+
+test('503 tekrar denenir, sonraki deneme başarılıysa kaydedilir', async () => {
+    const { manager, requests, errors, fieldElement } = createManager(
+        (url, options, index) => index === 0 ? jsonResponse(503) : jsonResponse(200, { success: true })
+    )
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 2)
+    assert.equal(readText(fieldElement), 'Ali')
+    assert.ok(!manager.isActive(fieldElement))
+    assert.equal(errors.length, 1)
+    assert.equal(errors[0].attempt, 1)
+    assert.equal(errors[0].willRetry, true)
+    assert.equal(errors[0].retryDelay, 5)
+    manager.destroy()
+})
+
+test('deneme hakkı bitince son hata willRetry: false ile bildirilir', async () => {
+    const { manager, requests, errors, fieldElement } = createManager(() => jsonResponse(503))
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 3)
+    assert.deepEqual(errors.filter(error => error.willRetry).map(error => [error.attempt, error.retryDelay]), [[1, 5], [2, 10]])
+    assert.ok(manager.isActive(fieldElement))
+    assert.notEqual(fieldElement.querySelector('[data-inline-edit-error]').textContent, '')
+    manager.destroy()
+})
+
+test('Retry-After header\'ı olmayan 429 tekrar denenmez', async () => {
+    const { manager, requests, errors, fieldElement } = createManager(() => jsonResponse(429))
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 1)
+    assert.equal(errors.filter(error => error.willRetry).length, 0)
+    assert.ok(manager.isActive(fieldElement))
+    manager.destroy()
+})
+
+test('Retry-After header\'ı olan 429, header\'daki süre kadar beklenip tekrar denenir', async () => {
+    const { manager, requests, errors, fieldElement } = createManager(
+        (url, options, index) => index === 0 ? jsonResponse(429, {}, { 'Retry-After': '0' }) : jsonResponse(200)
+    )
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 2)
+    assert.equal(errors[0].willRetry, true)
+    assert.equal(errors[0].retryDelay, 0)
+    assert.equal(readText(fieldElement), 'Ali')
+    manager.destroy()
+})
+
+test('400 tekrar denenmez', async () => {
+    const { manager, requests, errors, fieldElement } = createManager(() => jsonResponse(400, { message: 'Geçersiz ad.' }))
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 1)
+    assert.equal(errors.filter(error => error.willRetry).length, 0)
+    assert.equal(fieldElement.querySelector('[data-inline-edit-error]').textContent, 'Geçersiz ad.')
+    manager.destroy()
+})
+
+test('network hatası tekrar denenir', async () => {
+    const { manager, requests, errors, fieldElement } = createManager((url, options, index) => {
+        if (index === 0) {
+            throw new TypeError('Failed to fetch')
+        }
+        return jsonResponse(200)
+    })
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 2)
+    assert.equal(errors[0].error.name, 'NetworkError')
+    assert.equal(errors[0].willRetry, true)
+    assert.equal(readText(fieldElement), 'Ali')
+    manager.destroy()
+})
+
+test('timeout olan save varsayılan olarak tekrar gönderilmez', async () => {
+    const { manager, requests, errors, fieldElement } = createManager(hangingFetch, { timeout: 20 })
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 1)
+    assert.equal(errors.at(-1).error.name, 'TimeoutError')
+    assert.equal(errors.at(-1).willRetry, false)
+    assert.ok(manager.isActive(fieldElement))
+    manager.destroy()
+})
+
+test('retry.timeouts açıksa timeout olan save tekrar gönderilir', async () => {
+    const { manager, requests, fieldElement } = createManager(
+        (url, options, index) => index === 0 ? hangingFetch(url, options) : jsonResponse(200),
+        { timeout: 20, retry: { retries: 2, delay: 5, timeouts: true } }
+    )
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 2)
+    assert.equal(readText(fieldElement), 'Ali')
+    manager.destroy()
+})
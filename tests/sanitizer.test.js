@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+test('varsayılan sanitizer sadece allowlist\'teki element ve attribute\'ları bırakır', () => {
+    setupDom('')
+    const manager = new InlineEditManager()
+    const sanitize = (html) => manager.htmlSanitizer(html)
+
+    assert.equal(
+        sanitize('<svg><a><animate attributeName="href" to="javascript:alert(1)"/><text>x</text></a></svg>'),
+        'x'
+    )
+    assert.equal(
+        sanitize('<span class="badge" onclick="alert(1)" style="color: red" data-inline-edit-manager="true">Aktif</span>'),
+        '<span class="badge">Aktif</span>'
+    )
+    assert.equal(sanitize('<img src="x" onerror="alert(1)">'), '<img src="x">')
+    assert.equal(sanitize('<script>alert(1)</script><b>kalın</b>'), '<b>kalın</b>')
+})
+
+test('varsayılan sanitizer sadece http(s), mailto ve relative URL\'lere izin verir', () => {
+    setupDom('')
+    const manager = new InlineEditManager()
+    const href = (url) => {
+        const template = document.createElement('template')
+        template.innerHTML = manager.htmlSanitizer(`<a href="${url}">link</a>`)
+        return template.content.firstChild.getAttribute('href')
+    }
+
+    assert.equal(href('https://example.com'), 'https://example.com')
+    assert.equal(href('mailto:info@example.com'), 'mailto:info@example.com')
+    assert.equal(href('/personel/1'), '/personel/1')
+    assert.equal(href('java\tscript:alert(1)'), null)
+    assert.equal(href('data:text/html,x'), null)
+})
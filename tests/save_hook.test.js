@@ -0,0 +1,57 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, stubFetch, editAndSave, readText, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+test('save listener preventDefault ile save\'i iptal eder, edit mode açık kalır', async () => {
+    setupDom(renderField())
+    const requests = stubFetch()
+    const manager = new InlineEditManager()
+    manager.init()
+    manager.on('save', (data) => {
+        data.preventDefault = true
+    })
+
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 0)
+    assert.ok(manager.isActive(fieldElement))
+    manager.destroy()
+})
+
+test('reject olan async hook hatayı field\'da gösterir', async () => {
+    setupDom(renderField())
+    const requests = stubFetch()
+    const manager = new InlineEditManager()
+    manager.init()
+    manager.on('save', async () => {
+        throw new Error('Bu ad zaten kullanılıyor.')
+    })
+
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 0)
+    assert.equal(fieldElement.querySelector('[data-inline-edit-error]').textContent, 'Bu ad zaten kullanılıyor.')
+    manager.destroy()
+})
+
+test('hook\'un değiştirdiği değer gönderilir', async () => {
+    setupDom(renderField())
+    const requests = stubFetch()
+    const manager = new InlineEditManager()
+    manager.init()
+    manager.on('save', (data) => {
+        data.value = data.value.toUpperCase()
+    })
+
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 1)
+    assert.match(requestBody(requests[0]), /ALI/)
+    assert.equal(readText(fieldElement), 'ALI')
+    manager.destroy()
+})
@@ -0,0 +1,100 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, sleep, stubFetch, jsonResponse, editAndSave } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+const XSS = '<img src="x" onerror="alert(1)">'
+
+/**
+ * Checkbox field'ı (label'lar sunucunun render ettiği güvenilir HTML)
+ */
+function renderCheckbox({ attributes = '' } = {}) {
+    return `
+        <div id="field" data-inline-edit-manager="true" data-inline-edit-url="/personel/1" data-inline-edit-field-path="personel.aktif"
+             data-inline-edit-value="0" data-inline-edit-input-type="checkbox" data-inline-edit-html-type="checkbox" data-inline-edit-mode="inline"
+             data-inline-edit-instant="true" data-inline-edit-true-label="<i class=&quot;ri-check-line&quot;></i> Aktif"
+             data-inline-edit-false-label="Pasif" ${attributes}>
+            <div data-inline-edit-read-mode>
+                <span data-inline-edit-editable>Pasif</span>
+                <button type="button" data-inline-edit-enable>Düzenle</button>
+            </div>
+            <template data-inline-edit-content-template>
+                <input type="checkbox" data-inline-edit-input value="1">
+                <div data-inline-edit-error></div>
+            </template>
+            <div class="d-none" data-inline-edit-edit-mode></div>
+        </div>`
+}
+
+/**
+ * Checkbox'ı açıp işaretler ve kaydeder
+ */
+async function checkAndSave(manager, fieldElement) {
+    fieldElement.querySelector('[data-inline-edit-enable]').click()
+    await sleep(10)
+    fieldElement.querySelector('[data-inline-edit-edit-mode] [data-inline-edit-input]').checked = true
+    await manager.save(fieldElement)
+}
+
+test('checkbox field\'da response displayValue\'su HTML olarak yazılmaz', async () => {
+    setupDom(renderCheckbox())
+    stubFetch(() => jsonResponse(200, { displayValue: XSS }))
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    await checkAndSave(manager, fieldElement)
+
+    const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+    assert.equal(editable.querySelector('img'), null)
+    assert.equal(editable.textContent, XSS)
+    manager.destroy()
+})
+
+test('checkbox field\'da sunucu display vermezse label HTML\'i format() ile yazılır', async () => {
+    setupDom(renderCheckbox())
+    stubFetch()
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    await checkAndSave(manager, fieldElement)
+
+    const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+    assert.ok(editable.querySelector('i.ri-check-line'))
+    assert.equal(editable.textContent.trim(), 'Aktif')
+    manager.destroy()
+})
+
+test('displayHtml sanitizer\'dan geçirilerek yazılır', async () => {
+    setupDom(renderField())
+    stubFetch(() => jsonResponse(200, { displayHtml: `<span class="badge">Ali</span>${XSS}` }))
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+    assert.ok(editable.querySelector('span.badge'))
+    assert.equal(editable.querySelector('img').getAttribute('onerror'), null)
+    manager.destroy()
+})
+
+test('conflict\'te "sunucudakini al" currentDisplayValue\'yu checkbox field\'da da text olarak yazar', async () => {
+    setupDom(renderCheckbox({ attributes: 'data-inline-edit-version="3"' }))
+    stubFetch(() => jsonResponse(409, { currentValue: true, currentDisplayValue: XSS, version: '4' }))
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const fieldElement = document.getElementById('field')
+    await checkAndSave(manager, fieldElement)
+    fieldElement.querySelector('[data-inline-edit-conflict-take-theirs]').click()
+    await sleep(10)
+
+    const editable = fieldElement.querySelector('[data-inline-edit-editable]')
+    assert.equal(editable.querySelector('img'), null)
+    assert.equal(editable.textContent, XSS)
+    manager.destroy()
+})
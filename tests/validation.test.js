@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupDom, renderField, stubFetch, editAndSave, getInput, requestBody } from './helpers.js'
+
+const { default: InlineEditManager } = await import('../assets/inline_edit_manager.js')
+
+/**
+ * Manager'ı kurar, 'invalid' event'lerini toplar
+ */
+function createManager(fieldOptions) {
+    setupDom(renderField(fieldOptions))
+    const requests = stubFetch()
+    const manager = new InlineEditManager()
+    manager.init()
+
+    const invalidEvents = []
+    manager.on('invalid', (data) => invalidEvents.push(data))
+
+    return { manager, requests, invalidEvents, fieldElement: document.getElementById('field') }
+}
+
+test('required field boş değerle kaydedilmez', async () => {
+    const { manager, requests, invalidEvents, fieldElement } = createManager({ inputAttributes: 'required' })
+
+    await editAndSave(manager, fieldElement, '')
+
+    assert.equal(requests.length, 0)
+    assert.equal(invalidEvents.length, 1)
+    assert.equal(invalidEvents[0].rule, 'required')
+    assert.ok(manager.isActive(fieldElement))
+    assert.ok(getInput(manager, fieldElement).classList.contains('is-invalid'))
+    assert.notEqual(fieldElement.querySelector('[data-inline-edit-error]').textContent, '')
+    manager.destroy()
+})
+
+test('pattern\'e uymayan değer custom mesajla reddedilir', async () => {
+    const { manager, requests, invalidEvents, fieldElement } = createManager({
+        inputAttributes: 'pattern="[0-9]{5}" data-inline-edit-message-pattern="5 haneli posta kodu giriniz."'
+    })
+
+    await editAndSave(manager, fieldElement, 'abc')
+
+    assert.equal(requests.length, 0)
+    assert.equal(invalidEvents[0].rule, 'pattern')
+    assert.equal(fieldElement.querySelector('[data-inline-edit-error]').textContent, '5 haneli posta kodu giriniz.')
+    manager.destroy()
+})
+
+test('custom validator mesaj dönerse kaydedilmez, geçerli değer gönderilir', async () => {
+    const { manager, requests, invalidEvents, fieldElement } = createManager({ attributes: 'data-inline-edit-validate="tckn"' })
+    manager.addValidator('tckn', (value) => /^[1-9][0-9]{10}$/.test(value) || 'Geçerli bir TC kimlik no giriniz.')
+
+    await editAndSave(manager, fieldElement, '123')
+    assert.equal(requests.length, 0)
+    assert.equal(invalidEvents[0].rule, 'tckn')
+    assert.equal(invalidEvents[0].message, 'Geçerli bir TC kimlik no giriniz.')
+
+    getInput(manager, fieldElement).value = '12345678901'
+    await manager.save(fieldElement)
+    assert.equal(requests.length, 1)
+    assert.match(requestBody(requests[0]), /12345678901/)
+    manager.destroy()
+})
+
+test('save hook\'unun değiştirdiği değer tekrar validate edilir, geçersizse gönderilmez', async () => {
+    const { manager, requests, invalidEvents, fieldElement } = createManager({ inputAttributes: 'pattern="[A-Za-z]+"' })
+    manager.on('save', (data) => {
+        data.value = `${data.value} 2`
+    })
+
+    await editAndSave(manager, fieldElement, 'Ali')
+
+    assert.equal(requests.length, 0)
+    assert.equal(invalidEvents.length, 1)
+    assert.equal(invalidEvents[0].value, 'Ali 2')
+    assert.ok(manager.isActive(fieldElement))
+    assert.equal(getInput(manager, fieldElement).value, 'Ali 2')
+    manager.destroy()
+})